@@ -0,0 +1,109 @@
+import path from 'path';
+import fs from 'fs/promises';
+
+// Size budget for the media caches, used by the cache cleanup in index.js.
+// The budgeted namespaces of a storage backend (see CACHE STORAGE BACKENDS in index.js) and the temp
+// files in tmpDir are added up, and while they're over maxBytes the least recently accessed entries
+// (the later of atime and mtime) are evicted. Protected entries are never evicted; which ones are
+// protected is up to the caller's isProtected(namespace, key, protectedEntries).
+
+export const CACHE_BUDGET_NAMESPACES = ['images', 'videos', 'video-previews', 'icons', 'video-augmentations'];
+const TMP_FILE_MIN_AGE = 60 * 60 * 1000; // Newer temp files may belong to a running transcode or transcription
+const EVICTION_REPORT_MAX_ENTRIES = 500;
+
+// Adds an evicted entry to a cleanup report ({ evictedCount, evictedBytes, evicted: [] })
+export function recordEviction(report, entry, reason) {
+  report.evictedCount++;
+  report.evictedBytes += entry.size || 0;
+  if (report.evicted.length < EVICTION_REPORT_MAX_ENTRIES) {
+    report.evicted.push({
+      namespace: entry.namespace,
+      key: entry.key,
+      size: entry.size,
+      lastAccess: entry.lastAccess,
+      reason
+    });
+  }
+}
+
+export function createCacheBudget({ storage, tmpDir, maxBytes, namespaces = CACHE_BUDGET_NAMESPACES, isProtected = () => false }) {
+  // Every budgeted entry with its size and last access, oldest first
+  async function listBudgetedEntries(protectedEntries) {
+    const entries = [];
+    for (const namespace of namespaces) {
+      for (const key of await storage.list(namespace)) {
+        const stats = await storage.stat(namespace, key).catch(() => null);
+        if (stats) {
+          entries.push({
+            namespace,
+            key,
+            size: stats.size,
+            lastAccess: Math.max(stats.atimeMs, stats.mtimeMs),
+            protected: isProtected(namespace, key, protectedEntries)
+          });
+        }
+      }
+    }
+
+    // Temp files live outside the storage backend, on local disk
+    const now = Date.now();
+    const tmpFiles = await fs.readdir(tmpDir).catch(() => []);
+    for (const file of tmpFiles) {
+      const stats = await fs.stat(path.join(tmpDir, file)).catch(() => null);
+      if (stats && stats.isFile()) {
+        entries.push({
+          namespace: 'tmp',
+          key: file,
+          size: stats.size,
+          lastAccess: Math.max(stats.atimeMs, stats.mtimeMs),
+          protected: now - stats.mtimeMs < TMP_FILE_MIN_AGE
+        });
+      }
+    }
+
+    return entries.sort((a, b) => a.lastAccess - b.lastAccess);
+  }
+
+  async function deleteCacheEntry(namespace, key) {
+    if (namespace === 'tmp') {
+      await fs.unlink(path.join(tmpDir, key));
+    } else {
+      await storage.delete(namespace, key);
+    }
+  }
+
+  // Evict least recently accessed entries until the budgeted caches fit in maxBytes
+  async function enforceCacheBudget(protectedEntries, report) {
+    const entries = await listBudgetedEntries(protectedEntries);
+    let usage = entries.reduce((total, entry) => total + entry.size, 0);
+    report.budget = {
+      maxBytes,
+      usageBefore: usage,
+      usageAfter: usage,
+      protectedBytes: entries.filter(entry => entry.protected).reduce((total, entry) => total + entry.size, 0)
+    };
+
+    for (const entry of entries) {
+      if (usage <= maxBytes) {
+        break;
+      }
+      if (entry.protected) {
+        continue;
+      }
+      try {
+        await deleteCacheEntry(entry.namespace, entry.key);
+        usage -= entry.size;
+        recordEviction(report, entry, 'budget');
+      } catch (error) {
+        console.error(`Error evicting ${entry.namespace}/${entry.key}:`, error.message);
+      }
+    }
+
+    report.budget.usageAfter = usage;
+    if (usage > maxBytes) {
+      console.warn(`Cache is still over budget after eviction (${usage} of ${maxBytes} bytes; protected entries use ${report.budget.protectedBytes})`);
+    }
+  }
+
+  return { listBudgetedEntries, enforceCacheBudget };
+}
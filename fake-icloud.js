@@ -0,0 +1,104 @@
+import express from 'express';
+import path from 'path';
+import fs from 'fs/promises';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Local stand-in for iCloud shared albums, serving albums, derivatives and MP4s from a fixtures directory.
+// Used by the 'fixtures' and 'http' album sources in index.js so the whole pipeline can run offline.
+//
+// Fixtures layout (one directory per album token):
+//   <dir>/<token>/album.json  - { metadata, photos } in the same shape getImages() returns, except that
+//                               derivatives reference a local file instead of a URL:
+//                               "derivatives": { "1536": { "file": "IMG_0001.jpg", "width": 2048, "height": 1536 } }
+//   <dir>/<token>/<file>      - The image and video files referenced by the derivatives
+//
+// Endpoints:
+//   GET /albums/:token         - Album JSON with each derivative's `file` replaced by an absolute `url`
+//   GET /files/:token/:file    - The file itself (with Range support, like the real CDN)
+
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, 'fixtures');
+
+// Only allow plain names so requests can't escape the fixtures directory
+const SAFE_NAME = /^[a-zA-Z0-9_][a-zA-Z0-9_.-]*$/;
+
+export function createFakeICloudApp(dir = DEFAULT_FIXTURES_DIR) {
+  const app = express();
+
+  app.get('/albums/:token', async (req, res) => {
+    const { token } = req.params;
+    if (!SAFE_NAME.test(token)) {
+      return res.status(400).json({ error: 'Invalid token' });
+    }
+
+    let album;
+    try {
+      album = JSON.parse(await fs.readFile(path.join(dir, token, 'album.json'), 'utf-8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return res.status(404).json({ error: 'Album not found' });
+      }
+      console.error(`Fake iCloud: error reading album ${token}:`, error);
+      return res.status(500).json({ error: 'Failed to read album fixture' });
+    }
+
+    // Point derivatives at this server, the way iCloud points them at its CDN
+    const baseUrl = `${req.protocol}://${req.get('host')}`;
+    (album.photos || []).forEach(photo => {
+      Object.values(photo.derivatives || {}).forEach(derivative => {
+        if (derivative && derivative.file) {
+          derivative.url = `${baseUrl}/files/${encodeURIComponent(token)}/${encodeURIComponent(derivative.file)}`;
+          delete derivative.file;
+        }
+      });
+    });
+
+    res.json({
+      metadata: album.metadata || {},
+      photos: album.photos || []
+    });
+  });
+
+  app.get('/files/:token/:file', (req, res) => {
+    const { token, file } = req.params;
+    if (!SAFE_NAME.test(token) || !SAFE_NAME.test(file)) {
+      return res.status(400).json({ error: 'Invalid file' });
+    }
+    res.sendFile(path.join(dir, token, file), (error) => {
+      if (error && !res.headersSent) {
+        res.status(error.statusCode || 404).json({ error: 'File not found' });
+      }
+    });
+  });
+
+  return app;
+}
+
+// Start the stand-in server. Port 0 picks a free port; resolves to { url, close }.
+export function startFakeICloud({ dir = DEFAULT_FIXTURES_DIR, port = 0, host = '127.0.0.1' } = {}) {
+  const app = createFakeICloudApp(dir);
+  return new Promise((resolve, reject) => {
+    const server = app.listen(port, host, () => {
+      const url = `http://${host}:${server.address().port}`;
+      resolve({
+        url,
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+    server.on('error', reject);
+  });
+}
+
+// Run standalone: node fake-icloud.js [fixturesDir] [port]
+if (process.argv[1] === __filename) {
+  const dir = path.resolve(process.argv[2] || DEFAULT_FIXTURES_DIR);
+  const port = parseInt(process.argv[3] || process.env.FAKE_ICLOUD_PORT || '5099', 10);
+  startFakeICloud({ dir, port }).then(({ url }) => {
+    console.log(`Fake iCloud serving fixtures from ${dir} on ${url}`);
+  }).catch(error => {
+    console.error('Failed to start fake iCloud:', error);
+    process.exit(1);
+  });
+}
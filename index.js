@@ -5,14 +5,22 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 import encryptor from 'simple-encryptor';
 import sharp from 'sharp';
+import exifReader from 'exif-reader';
+import decodeHeic from 'heic-decode';
 import crypto from 'crypto';
+import zlib from 'zlib';
 import fs from 'fs/promises';
-import { existsSync } from 'fs';
+import { existsSync, createReadStream, createWriteStream } from 'fs';
 import schedule from 'node-schedule';
 import { spawn } from 'child_process';
 import ffmpeg from 'fluent-ffmpeg';
 import { installWhisperCpp, downloadWhisperModel } from '@remotion/install-whisper-cpp';
 import { OpenAI } from 'openai';
+import archiver from 'archiver';
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
+import { createCacheBudget, recordEviction } from './cache-budget.js';
+import { createUpstreamPolicy, isUpstreamUnavailable } from './upstream.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -24,14 +32,47 @@ const PORT = process.env.PORT || 5000;
 const CACHE_DIR = process.env.CACHE_DIR || path.join(__dirname, 'cache');
 const ALBUMS_CACHE_DIR = path.join(CACHE_DIR, 'albums');
 const IMAGES_CACHE_DIR = path.join(CACHE_DIR, 'images');
+const VIDEOS_CACHE_DIR = path.join(CACHE_DIR, 'videos');
 const MAPPINGS_CACHE_DIR = path.join(CACHE_DIR, 'mappings');
 const VIDEO_AUGMENTATIONS_CACHE_DIR = path.join(CACHE_DIR, 'video-augmentations');
+const VIDEO_PREVIEWS_CACHE_DIR = path.join(CACHE_DIR, 'video-previews');
 const ICONS_CACHE_DIR = path.join(CACHE_DIR, 'icons');
-const TMP_DIR = path.join(__dirname, 'tmp');
+const CHANGES_CACHE_DIR = path.join(CACHE_DIR, 'changes');
+const SNAPSHOTS_CACHE_DIR = path.join(CACHE_DIR, 'snapshots');
+const SETTINGS_CACHE_DIR = path.join(CACHE_DIR, 'settings');
+const REGISTRY_CACHE_DIR = path.join(CACHE_DIR, 'registry');
+const LEASES_CACHE_DIR = path.join(CACHE_DIR, 'leases');
+const TMP_DIR = process.env.CACHE_TMP_DIR || path.join(__dirname, 'tmp');
+
+// Cache storage backend: 'fs' (files under CACHE_DIR), 'memory' (for tests) or 'sqlite' (single-file database)
+const CACHE_STORAGE = process.env.CACHE_STORAGE || 'fs';
+const CACHE_DB_PATH = process.env.CACHE_DB_PATH || path.join(CACHE_DIR, 'cache.db');
+
+// Storage namespaces and the directories they map to in the filesystem backend
+const CACHE_NAMESPACES = {
+  albums: ALBUMS_CACHE_DIR,
+  images: IMAGES_CACHE_DIR,
+  videos: VIDEOS_CACHE_DIR,
+  mappings: MAPPINGS_CACHE_DIR,
+  'video-augmentations': VIDEO_AUGMENTATIONS_CACHE_DIR,
+  'video-previews': VIDEO_PREVIEWS_CACHE_DIR,
+  icons: ICONS_CACHE_DIR,
+  changes: CHANGES_CACHE_DIR,
+  snapshots: SNAPSHOTS_CACHE_DIR,
+  settings: SETTINGS_CACHE_DIR,
+  registry: REGISTRY_CACHE_DIR,
+  leases: LEASES_CACHE_DIR
+};
 
 // Ensure cache directories exist
 async function ensureCacheDirs() {
-  const dirs = [CACHE_DIR, ALBUMS_CACHE_DIR, IMAGES_CACHE_DIR, MAPPINGS_CACHE_DIR, VIDEO_AUGMENTATIONS_CACHE_DIR, ICONS_CACHE_DIR, TMP_DIR];
+  // Only the filesystem backend needs the per-namespace directories
+  const dirs = [TMP_DIR];
+  if (CACHE_STORAGE === 'fs') {
+    dirs.push(CACHE_DIR, ...Object.values(CACHE_NAMESPACES));
+  } else if (CACHE_STORAGE === 'sqlite') {
+    dirs.push(path.dirname(CACHE_DB_PATH));
+  }
   for (const dir of dirs) {
     if (!existsSync(dir)) {
       await fs.mkdir(dir, { recursive: true });
@@ -41,12 +82,336 @@ async function ensureCacheDirs() {
 }
 
 // Initialize cache directories on startup
-ensureCacheDirs().catch(err => {
+await ensureCacheDirs().catch(err => {
   console.error('Error creating cache directories:', err);
 });
 
+// ============================================
+// CACHE STORAGE BACKENDS
+// ============================================
+// Every cache (albums, mappings, images, icons, video augmentations) goes through this interface:
+//   get(namespace, key)        -> Buffer or null
+//   set(namespace, key, value) -> stores a Buffer or string
+//   create(namespace, key, value) -> stores the value only if the key doesn't exist yet, atomically;
+//                                 resolves to whether it was stored (used for leases)
+//   append(namespace, key, value) -> adds a Buffer or string to the end of an entry (creating it if missing)
+//   delete(namespace, key)
+//   stat(namespace, key)       -> { size, mtimeMs, atimeMs } or null
+//   touch(namespace, key, { accessOnly }) -> marks the entry as accessed now (used for LRU cleanup);
+//                                accessOnly keeps mtime, for entries whose freshness is their mtime
+//   list(namespace)            -> array of keys
+//   createReadStream(namespace, key, { start, end }) -> readable stream of the (inclusive) byte range
+//   setFromFile(namespace, key, filePath)            -> stores a file's contents (for large entries like videos)
+// Keys are file names (e.g. `<secureId>.jpg`) so the filesystem layout stays the same as before.
+
+// Filesystem backend - one file per entry under CACHE_DIR/<namespace>/
+function createFilesystemStorage() {
+  const fileFor = (namespace, key) => {
+    const dir = CACHE_NAMESPACES[namespace];
+    if (!dir) {
+      throw new Error(`Unknown cache namespace: ${namespace}`);
+    }
+    return path.join(dir, key);
+  };
+
+  return {
+    name: 'fs',
+
+    async get(namespace, key) {
+      try {
+        return await fs.readFile(fileFor(namespace, key));
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          return null;
+        }
+        throw error;
+      }
+    },
+
+    async set(namespace, key, value) {
+      await fs.writeFile(fileFor(namespace, key), value);
+    },
+
+    async create(namespace, key, value) {
+      try {
+        await fs.writeFile(fileFor(namespace, key), value, { flag: 'wx' });
+        return true;
+      } catch (error) {
+        if (error.code === 'EEXIST') {
+          return false;
+        }
+        throw error;
+      }
+    },
+
+    async append(namespace, key, value) {
+      await fs.appendFile(fileFor(namespace, key), value);
+    },
+
+    async delete(namespace, key) {
+      await fs.unlink(fileFor(namespace, key)).catch(() => { }); // Ignore errors if file doesn't exist
+    },
+
+    async stat(namespace, key) {
+      try {
+        const stats = await fs.stat(fileFor(namespace, key));
+        return { size: stats.size, mtimeMs: stats.mtimeMs, atimeMs: stats.atimeMs };
+      } catch (error) {
+        return null;
+      }
+    },
+
+    async touch(namespace, key, { accessOnly = false } = {}) {
+      // Update atime, and mtime unless accessOnly, to now (same as the previous direct utimes calls)
+      const now = new Date();
+      const file = fileFor(namespace, key);
+      const mtime = accessOnly ? (await fs.stat(file)).mtime : now;
+      await fs.utimes(file, now, mtime);
+    },
+
+    async list(namespace) {
+      try {
+        return await fs.readdir(fileFor(namespace, ''));
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          return [];
+        }
+        throw error;
+      }
+    },
+
+    createReadStream(namespace, key, range = {}) {
+      return createReadStream(fileFor(namespace, key), range);
+    },
+
+    async setFromFile(namespace, key, filePath) {
+      await fs.copyFile(filePath, fileFor(namespace, key));
+    }
+  };
+}
+
+// In-memory backend - nothing touches the disk, useful for tests and CI
+function createMemoryStorage() {
+  const namespaces = new Map(); // namespace -> Map(key -> { value, mtimeMs, atimeMs })
+
+  const entriesFor = (namespace) => {
+    if (!CACHE_NAMESPACES[namespace]) {
+      throw new Error(`Unknown cache namespace: ${namespace}`);
+    }
+    if (!namespaces.has(namespace)) {
+      namespaces.set(namespace, new Map());
+    }
+    return namespaces.get(namespace);
+  };
+
+  return {
+    name: 'memory',
+
+    async get(namespace, key) {
+      const entry = entriesFor(namespace).get(key);
+      return entry ? entry.value : null;
+    },
+
+    async set(namespace, key, value) {
+      const now = Date.now();
+      entriesFor(namespace).set(key, { value: Buffer.from(value), mtimeMs: now, atimeMs: now });
+    },
+
+    async create(namespace, key, value) {
+      if (entriesFor(namespace).has(key)) {
+        return false;
+      }
+      await this.set(namespace, key, value);
+      return true;
+    },
+
+    async append(namespace, key, value) {
+      const entry = entriesFor(namespace).get(key);
+      await this.set(namespace, key, entry ? Buffer.concat([entry.value, Buffer.from(value)]) : value);
+    },
+
+    async delete(namespace, key) {
+      entriesFor(namespace).delete(key);
+    },
+
+    async stat(namespace, key) {
+      const entry = entriesFor(namespace).get(key);
+      return entry ? { size: entry.value.length, mtimeMs: entry.mtimeMs, atimeMs: entry.atimeMs } : null;
+    },
+
+    async touch(namespace, key, { accessOnly = false } = {}) {
+      const entry = entriesFor(namespace).get(key);
+      if (entry) {
+        const now = Date.now();
+        if (!accessOnly) {
+          entry.mtimeMs = now;
+        }
+        entry.atimeMs = now;
+      }
+    },
+
+    async list(namespace) {
+      return Array.from(entriesFor(namespace).keys());
+    },
+
+    createReadStream(namespace, key, { start = 0, end } = {}) {
+      const entry = entriesFor(namespace).get(key);
+      const value = entry ? entry.value : Buffer.alloc(0);
+      return Readable.from([value.subarray(start, end === undefined ? value.length : end + 1)]);
+    },
+
+    async setFromFile(namespace, key, filePath) {
+      await this.set(namespace, key, await fs.readFile(filePath));
+    }
+  };
+}
+
+// SQLite backend - every namespace in one database file (CACHE_DB_PATH), safe to share between processes
+async function createSqliteStorage(dbPath) {
+  // Loaded lazily so the native module is only required when this backend is selected
+  const { default: Database } = await import('better-sqlite3');
+  const db = new Database(dbPath);
+  db.pragma('journal_mode = WAL');
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS cache_entries (
+      namespace TEXT NOT NULL,
+      key TEXT NOT NULL,
+      value BLOB NOT NULL,
+      mtime INTEGER NOT NULL,
+      atime INTEGER NOT NULL,
+      PRIMARY KEY (namespace, key)
+    )
+  `);
+
+  const statements = {
+    get: db.prepare('SELECT value FROM cache_entries WHERE namespace = ? AND key = ?'),
+    set: db.prepare(`
+      INSERT INTO cache_entries (namespace, key, value, mtime, atime) VALUES (?, ?, ?, ?, ?)
+      ON CONFLICT(namespace, key) DO UPDATE SET value = excluded.value, mtime = excluded.mtime, atime = excluded.atime
+    `),
+    create: db.prepare('INSERT OR IGNORE INTO cache_entries (namespace, key, value, mtime, atime) VALUES (?, ?, ?, ?, ?)'),
+    append: db.prepare(`
+      INSERT INTO cache_entries (namespace, key, value, mtime, atime) VALUES (?, ?, ?, ?, ?)
+      ON CONFLICT(namespace, key) DO UPDATE SET value = CAST(value || excluded.value AS BLOB), mtime = excluded.mtime, atime = excluded.atime
+    `),
+    delete: db.prepare('DELETE FROM cache_entries WHERE namespace = ? AND key = ?'),
+    stat: db.prepare('SELECT length(value) AS size, mtime, atime FROM cache_entries WHERE namespace = ? AND key = ?'),
+    touch: db.prepare('UPDATE cache_entries SET mtime = ?, atime = ? WHERE namespace = ? AND key = ?'),
+    touchAccess: db.prepare('UPDATE cache_entries SET atime = ? WHERE namespace = ? AND key = ?'),
+    list: db.prepare('SELECT key FROM cache_entries WHERE namespace = ?')
+  };
+
+  const checkNamespace = (namespace) => {
+    if (!CACHE_NAMESPACES[namespace]) {
+      throw new Error(`Unknown cache namespace: ${namespace}`);
+    }
+  };
+
+  return {
+    name: 'sqlite',
+
+    async get(namespace, key) {
+      checkNamespace(namespace);
+      const row = statements.get.get(namespace, key);
+      return row ? row.value : null;
+    },
+
+    async set(namespace, key, value) {
+      checkNamespace(namespace);
+      const now = Date.now();
+      statements.set.run(namespace, key, Buffer.from(value), now, now);
+    },
+
+    async create(namespace, key, value) {
+      checkNamespace(namespace);
+      const now = Date.now();
+      return statements.create.run(namespace, key, Buffer.from(value), now, now).changes === 1;
+    },
+
+    async append(namespace, key, value) {
+      checkNamespace(namespace);
+      const now = Date.now();
+      statements.append.run(namespace, key, Buffer.from(value), now, now);
+    },
+
+    async delete(namespace, key) {
+      checkNamespace(namespace);
+      statements.delete.run(namespace, key);
+    },
+
+    async stat(namespace, key) {
+      checkNamespace(namespace);
+      const row = statements.stat.get(namespace, key);
+      return row ? { size: row.size, mtimeMs: row.mtime, atimeMs: row.atime } : null;
+    },
+
+    async touch(namespace, key, { accessOnly = false } = {}) {
+      checkNamespace(namespace);
+      const now = Date.now();
+      if (accessOnly) {
+        statements.touchAccess.run(now, namespace, key);
+      } else {
+        statements.touch.run(now, now, namespace, key);
+      }
+    },
+
+    async list(namespace) {
+      checkNamespace(namespace);
+      return statements.list.all(namespace).map(row => row.key);
+    },
+
+    createReadStream(namespace, key, { start = 0, end } = {}) {
+      checkNamespace(namespace);
+      const row = statements.get.get(namespace, key);
+      const value = row ? row.value : Buffer.alloc(0);
+      return Readable.from([value.subarray(start, end === undefined ? value.length : end + 1)]);
+    },
+
+    async setFromFile(namespace, key, filePath) {
+      await this.set(namespace, key, await fs.readFile(filePath));
+    }
+  };
+}
+
+// Create the configured storage backend
+async function createStorage(type) {
+  switch (type) {
+    case 'fs':
+      return createFilesystemStorage();
+    case 'memory':
+      return createMemoryStorage();
+    case 'sqlite':
+      return createSqliteStorage(CACHE_DB_PATH);
+    default:
+      throw new Error(`Unknown CACHE_STORAGE backend: ${type} (expected 'fs', 'memory' or 'sqlite')`);
+  }
+}
+
+const storage = await createStorage(CACHE_STORAGE);
+console.log(`Using ${storage.name} cache storage`);
+
+// Read and parse a JSON entry from storage (null if missing or unreadable)
+async function readCacheJSON(namespace, key) {
+  try {
+    const content = await storage.get(namespace, key);
+    if (!content) {
+      return null;
+    }
+    return JSON.parse(content.toString('utf-8'));
+  } catch (error) {
+    console.error(`Error reading ${namespace} cache entry ${key}:`, error);
+    return null;
+  }
+}
+
+// Serialize and write a JSON entry to storage
+async function writeCacheJSON(namespace, key, value) {
+  await storage.set(namespace, key, JSON.stringify(value, null, 2));
+}
+
 // Encryption configuration
-const ENCRYPTION_SECRET = process.env.ENCRYPTION_SECRET || 'test-secret-key-change-in-production';
+const DEFAULT_ENCRYPTION_SECRET = 'test-secret-key-change-in-production';
+const ENCRYPTION_SECRET = process.env.ENCRYPTION_SECRET || DEFAULT_ENCRYPTION_SECRET;
 const encrypt = encryptor(ENCRYPTION_SECRET);
 
 // OpenAI configuration
@@ -318,11 +683,12 @@ const CACHE_TTL = parseInt(process.env.CACHE_TTL || '3600000', 10); // Default:
 // In-memory reloading state (small, can stay in memory)
 const reloadingState = new Map(); // token -> boolean
 
-// Track recently accessed tokens for background refresh
-// Maps decryptedToken -> { lastAccessed: timestamp, decryptedToken: string }
+// Track recently accessed tokens for background refresh (persisted in the 'registry' namespace)
+// Maps decryptedToken -> { decryptedToken, lastAccessed, policy, lastRefreshAt, lastRefreshResult, lastRefreshError }
 const recentlyAccessedTokens = new Map();
 const MAX_TRACKED_TOKENS = parseInt(process.env.MAX_TRACKED_TOKENS || '100', 10);
 const TOKEN_ACCESS_TTL = parseInt(process.env.TOKEN_ACCESS_TTL || '86400000', 10); // Default: 24 hours in milliseconds
+const DEFAULT_REFRESH_INTERVAL = parseInt(process.env.REFRESH_INTERVAL || '1800000', 10); // Default: 30 minutes in milliseconds
 
 // Sanitize token for use as filename
 function sanitizeToken(token) {
@@ -330,14 +696,25 @@ function sanitizeToken(token) {
   return token.replace(/[^a-zA-Z0-9_-]/g, '_');
 }
 
-// File-based cache helper functions for album JSON
+// Cache hits and misses per namespace since startup (reported by GET /api/cache/stats)
+const cacheLookups = {}; // namespace -> { hits, misses }
+const cacheLookupsSince = Date.now();
+
+function recordCacheLookup(namespace, hit) {
+  const counts = cacheLookups[namespace] || (cacheLookups[namespace] = { hits: 0, misses: 0 });
+  counts[hit ? 'hits' : 'misses']++;
+}
+
+// Cache helper functions for album JSON
 async function getCachedData(token) {
   const safeToken = sanitizeToken(token);
-  const cacheFile = path.join(ALBUMS_CACHE_DIR, `${safeToken}.json`);
 
   try {
-    const fileContent = await fs.readFile(cacheFile, 'utf-8');
-    const cached = JSON.parse(fileContent);
+    const content = await storage.get('albums', `${safeToken}.json`);
+    if (!content) {
+      return null; // Not cached
+    }
+    const cached = JSON.parse(content.toString('utf-8'));
 
     const now = Date.now();
     const age = now - cached.timestamp;
@@ -349,17 +726,13 @@ async function getCachedData(token) {
       timestamp: cached.timestamp
     };
   } catch (error) {
-    if (error.code === 'ENOENT') {
-      return null; // File doesn't exist
-    }
-    console.error('Error reading cache file:', error);
+    console.error('Error reading album cache:', error);
     return null;
   }
 }
 
 async function setCachedData(token, data, isReloading = false) {
   const safeToken = sanitizeToken(token);
-  const cacheFile = path.join(ALBUMS_CACHE_DIR, `${safeToken}.json`);
 
   try {
     const existing = await getCachedData(token);
@@ -369,10 +742,10 @@ async function setCachedData(token, data, isReloading = false) {
       reloading: isReloading || (existing?.data ? reloadingState.get(token) || false : false)
     };
 
-    await fs.writeFile(cacheFile, JSON.stringify(cacheData, null, 2), 'utf-8');
+    await writeCacheJSON('albums', `${safeToken}.json`, cacheData);
     reloadingState.set(token, cacheData.reloading);
   } catch (error) {
-    console.error('Error writing cache file:', error);
+    console.error('Error writing album cache:', error);
   }
 }
 
@@ -380,310 +753,2071 @@ function setReloading(token, reloading) {
   reloadingState.set(token, reloading);
 }
 
-// Enable JSON body parsing
-app.use(express.json());
+// ============================================
+// ADMIN AUTHENTICATION AND ALBUM SETTINGS
+// ============================================
 
-// Enable CORS for all routes
-app.use((req, res, next) => {
-  res.header('Access-Control-Allow-Origin', '*');
-  res.header('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-  res.header('Access-Control-Allow-Headers', 'Content-Type');
-  if (req.method === 'OPTIONS') {
-    return res.sendStatus(200);
+// Admin endpoints require `Authorization: Bearer <ADMIN_TOKEN>`; they are disabled if ADMIN_TOKEN is not set
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN;
+
+function requireAdmin(req, res, next) {
+  if (!ADMIN_TOKEN) {
+    return res.status(403).json({ error: 'Admin endpoints are disabled (ADMIN_TOKEN is not configured)' });
+  }
+  const header = req.get('Authorization') || '';
+  const provided = Buffer.from(header.replace(/^Bearer\s+/i, ''));
+  const expected = Buffer.from(ADMIN_TOKEN);
+  if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+    return res.status(401).json({ error: 'Invalid admin token' });
   }
   next();
-});
+}
 
-// Add cache headers for static assets (images, etc.)
-app.use((req, res, next) => {
-  // Only add cache headers for image requests
-  if (req.path.startsWith('/api/image/')) {
-    // Cache headers will be set in the route handler
-    return next();
-  }
-  // For JS/CSS files, use shorter cache with revalidation for iOS
-  if (req.path.match(/\.(js|css)$/i)) {
-    res.set('Cache-Control', 'public, max-age=3600, must-revalidate');
-    res.set('Vary', 'Accept-Encoding');
-    // Add version query param if present for cache busting
-    if (req.query.v) {
-      res.set('ETag', `"${req.query.v}"`);
+// Snapshot retention: number of historical snapshots kept per album (0 = disabled)
+const SNAPSHOT_RETENTION = parseInt(process.env.SNAPSHOT_RETENTION || '0', 10);
+
+// Per-album settings, stored in the 'settings' namespace and merged over these defaults
+const DEFAULT_ALBUM_SETTINGS = {
+  snapshotRetention: SNAPSHOT_RETENTION,
+  archiveDeleted: true, // Pin removed photos into the archive while snapshots are enabled
+  refreshPolicy: 'auto', // 'auto' (while recently accessed), 'pinned' (always) or 'never'
+  refreshInterval: null, // Minutes between background refreshes (null = REFRESH_INTERVAL)
+  watermark: null // Overlay drawn on the album's images (see WATERMARKS)
+};
+
+// Validators for each setting that can be changed through the settings endpoint
+const ALBUM_SETTINGS_VALIDATORS = {
+  snapshotRetention: value => Number.isInteger(value) && value >= 0,
+  archiveDeleted: value => typeof value === 'boolean',
+  refreshPolicy: value => ['auto', 'pinned', 'never'].includes(value),
+  refreshInterval: value => Number.isInteger(value) && value >= 5 && value <= 7 * 24 * 60, // Minutes
+  watermark: value => isValidWatermark(value)
+};
+
+async function getAlbumSettings(decryptedToken) {
+  const stored = await readCacheJSON('settings', `${sanitizeToken(decryptedToken)}.json`);
+  return { ...DEFAULT_ALBUM_SETTINGS, ...(stored || {}) };
+}
+
+// Validate and merge setting updates (null resets a setting to its default)
+async function updateAlbumSettings(decryptedToken, updates) {
+  const key = `${sanitizeToken(decryptedToken)}.json`;
+  const stored = (await readCacheJSON('settings', key)) || {};
+
+  for (const [name, value] of Object.entries(updates)) {
+    const validate = ALBUM_SETTINGS_VALIDATORS[name];
+    if (!validate) {
+      throw new Error(`Unknown setting: ${name}`);
+    }
+    if (value === null) {
+      delete stored[name];
+    } else if (!validate(value)) {
+      throw new Error(`Invalid value for setting: ${name}`);
+    } else {
+      stored[name] = value;
     }
   }
-  // For other static files, add cache headers
-  else if (req.path.match(/\.(jpg|jpeg|png|gif|webp|svg|ico|woff|woff2|ttf|eot)$/i)) {
-    res.set('Cache-Control', 'public, max-age=31536000, immutable');
-  }
-  next();
-});
 
-// Secure image URL mapping (opaque ID -> original URL) - stored on disk
-const IMAGE_URL_MAP_TTL = 7 * 24 * 60 * 60 * 1000; // 7 days (was 24 hours)
-// Image retention period: 30 days
-const IMAGE_RETENTION_TTL = 30 * 24 * 60 * 60 * 1000;
+  await writeCacheJSON('settings', key, stored);
+  return { ...DEFAULT_ALBUM_SETTINGS, ...stored };
+}
 
-// Image optimization configuration
-const MAX_IMAGE_WIDTH = parseInt(process.env.MAX_IMAGE_WIDTH || '1920', 10);
-const MAX_IMAGE_HEIGHT = parseInt(process.env.MAX_IMAGE_HEIGHT || '1920', 10);
-const IMAGE_QUALITY = parseInt(process.env.IMAGE_QUALITY || '85', 10); // 0-100, default 85
+// ============================================
+// ALBUM SNAPSHOTS AND ARCHIVE
+// ============================================
+// When snapshot retention is enabled for an album, every refresh that changes the photos list stores
+// a snapshot (`<token>.<timestamp>.json`) and the album index (`<token>.json`) lists them. Photos removed
+// from the album are pinned into the index's archive with their rewritten (proxied) URLs, and their
+// processed images are excluded from cache cleanup until they are unpinned.
 
-// Generate secure random ID for image URLs
-function generateSecureId() {
-  return crypto.randomBytes(16).toString('hex');
+function snapshotIndexKey(decryptedToken) {
+  return `${sanitizeToken(decryptedToken)}.json`;
 }
 
-// Store image URL securely and return opaque ID
-// Use a hash of the URL as a lookup key to ensure same URL = same secure ID
-async function storeImageUrl(originalUrl) {
-  // Create a deterministic hash of the URL to use as lookup key
-  const urlHash = crypto.createHash('sha256').update(originalUrl).digest('hex').substring(0, 16);
-  const lookupFile = path.join(MAPPINGS_CACHE_DIR, `_lookup_${urlHash}.json`);
+function snapshotKey(decryptedToken, timestamp) {
+  return `${sanitizeToken(decryptedToken)}.${timestamp}.json`;
+}
 
-  // Check if we already have a secure ID for this URL
-  try {
-    const lookupData = await fs.readFile(lookupFile, 'utf-8');
-    const lookup = JSON.parse(lookupData);
+async function getSnapshotIndex(decryptedToken) {
+  const index = await readCacheJSON('snapshots', snapshotIndexKey(decryptedToken));
+  return index || { snapshots: [], archive: {} };
+}
 
-    // Verify the URL matches (in case of hash collision)
-    if (lookup.url === originalUrl && lookup.secureId) {
-      // Check if the mapping file still exists
-      const mappingFile = path.join(MAPPINGS_CACHE_DIR, `${lookup.secureId}.json`);
+// Extract the image cache keys referenced by a rewritten photo
+function getProxiedImageKeys(photo) {
+  if (!photo || !photo.derivatives) {
+    return [];
+  }
+  return Object.values(photo.derivatives)
+    .filter(d => d && typeof d.url === 'string' && d.url.startsWith('/api/image/'))
+    .map(d => d.url.replace('/api/image/', ''));
+}
 
-      try {
-        const mappingContent = await fs.readFile(mappingFile, 'utf-8');
-        const mapping = JSON.parse(mappingContent);
-
-        // Check if we need to refresh the timestamp (e.g. if older than 1 hour)
-        // This keeps frequently accessed images from expiring
-        const age = Date.now() - mapping.timestamp;
-        if (age > 60 * 60 * 1000) { // 1 hour
-          mapping.timestamp = Date.now();
-          // Fire and forget update (don't await to avoid slowing down request)
-          fs.writeFile(mappingFile, JSON.stringify(mapping, null, 2), 'utf-8').catch(err => {
-            console.error('Error updating mapping timestamp:', err);
-          });
-
-          // Also update lookup timestamp
-          lookup.timestamp = Date.now();
-          fs.writeFile(lookupFile, JSON.stringify(lookup, null, 2), 'utf-8').catch(() => { });
-        }
+// Extract the video cache keys referenced by a rewritten photo
+function getProxiedVideoKeys(photo) {
+  if (!photo || !photo.derivatives) {
+    return [];
+  }
+  return Object.values(photo.derivatives)
+    .filter(d => d && typeof d.url === 'string' && d.url.startsWith('/api/video/'))
+    .map(d => d.url.replace('/api/video/', ''));
+}
 
-        // Mapping exists, return existing secure ID
-        return lookup.secureId;
-      } catch (e) {
-        // Mapping file doesn't exist or is invalid, will create new one below
+// Pin a photo into the album's archive. The rewritten URLs are kept so the same secure IDs keep
+// resolving to the cached images and videos, and any that were never cached are cached now.
+async function pinPhotoToArchive(decryptedToken, photo, index) {
+  const rewritten = await rewriteImageUrls({ photos: [photo] }, decryptedToken);
+  const archivedPhoto = rewritten.photos[0];
+
+  for (const imageKey of getProxiedImageKeys(archivedPhoto)) {
+    try {
+      const secureId = imageKey.replace(/\.jpg$/, '');
+      const mapping = await getImageMapping(secureId);
+      const watermark = await getImageWatermark(mapping);
+      const variant = watermark ? watermark.variant : null;
+      const cacheKey = imageCacheKey(secureId, chooseImageFormat(mapping && mapping.source, null, watermark), null, variant);
+      if (mapping && !(await storage.stat('images', cacheKey))) {
+        await runImageJob(cacheKey, 'low', () => processImageVariant(secureId, mapping.url, null, null, watermark));
       }
+    } catch (error) {
+      console.warn(`Could not cache archived image ${imageKey}:`, error.message);
     }
-  } catch (error) {
-    // Lookup file doesn't exist, will create new mapping below
   }
 
-  // Generate new secure ID only if we don't have one
-  const secureId = generateSecureId();
-  const mappingFile = path.join(MAPPINGS_CACHE_DIR, `${secureId}.json`);
+  for (const videoKey of getProxiedVideoKeys(archivedPhoto)) {
+    const secureId = videoKey.replace(/\.mp4$/, '');
+    const originalUrl = await getImageUrl(secureId);
+    if (originalUrl) {
+      await cacheVideo(secureId, originalUrl).catch(error => {
+        console.warn(`Could not cache archived video ${videoKey}:`, error.message);
+      });
+    }
+  }
 
-  try {
-    // Store the mapping (secure ID -> original URL)
-    const mapping = {
-      url: originalUrl,
-      timestamp: Date.now()
-    };
-    await fs.writeFile(mappingFile, JSON.stringify(mapping, null, 2), 'utf-8');
+  index.archive[photo.photoGuid] = {
+    photo: archivedPhoto,
+    pinnedAt: Date.now()
+  };
+}
 
-    // Store lookup mapping (URL hash -> secure ID) for fast lookup
-    const lookup = {
-      url: originalUrl,
-      secureId: secureId,
-      timestamp: Date.now()
-    };
-    await fs.writeFile(lookupFile, JSON.stringify(lookup, null, 2), 'utf-8');
-  } catch (error) {
-    console.error('Error storing image URL mapping:', error);
+// Store a snapshot of freshly fetched album data and archive removed photos (no-op if retention is disabled)
+async function recordAlbumSnapshot(decryptedToken, data, previousPhotos, changes) {
+  const settings = await getAlbumSettings(decryptedToken);
+  if (!settings.snapshotRetention) {
+    return;
   }
 
-  return secureId;
-}
+  const index = await getSnapshotIndex(decryptedToken);
 
-// Retrieve original URL from secure ID
-async function getImageUrl(secureId) {
-  const mappingFile = path.join(MAPPINGS_CACHE_DIR, `${secureId}.json`);
+  // Archive photos that were removed in this refresh
+  if (settings.archiveDeleted && Array.isArray(previousPhotos)) {
+    const removedGuids = new Set(changes.filter(change => change.type === 'removed').map(change => change.photoGuid));
+    for (const photo of previousPhotos) {
+      if (photo && removedGuids.has(photo.photoGuid) && !index.archive[photo.photoGuid]) {
+        await pinPhotoToArchive(decryptedToken, photo, index);
+      }
+    }
+  }
 
-  try {
-    const fileContent = await fs.readFile(mappingFile, 'utf-8');
-    const mapping = JSON.parse(fileContent);
+  // Only store a new snapshot if something changed (or this is the first one)
+  if (changes.length > 0 || index.snapshots.length === 0) {
+    const timestamp = Date.now();
+    await writeCacheJSON('snapshots', snapshotKey(decryptedToken, timestamp), { timestamp, data });
+    index.snapshots.push({ timestamp, photoCount: Array.isArray(data.photos) ? data.photos.length : 0 });
 
-    // Clean up old mappings
-    const age = Date.now() - mapping.timestamp;
-    if (age > IMAGE_URL_MAP_TTL) {
-      await fs.unlink(mappingFile).catch(() => { }); // Ignore errors if file doesn't exist
-      return null;
+    // Drop the oldest snapshots beyond the retention limit
+    while (index.snapshots.length > settings.snapshotRetention) {
+      const expired = index.snapshots.shift();
+      await storage.delete('snapshots', snapshotKey(decryptedToken, expired.timestamp)).catch(() => { });
     }
+  }
 
-    return mapping.url;
-  } catch (error) {
-    if (error.code === 'ENOENT') {
-      return null; // File doesn't exist
+  await writeCacheJSON('snapshots', snapshotIndexKey(decryptedToken), index);
+}
+
+// Collect image and video cache keys referenced by any archive (excluded from cleanup)
+async function getPinnedMediaKeys() {
+  const pinned = new Set();
+  const keys = await storage.list('snapshots');
+  for (const key of keys) {
+    // Index entries are `<token>.json`, snapshots are `<token>.<timestamp>.json`
+    if (!/^[a-zA-Z0-9_-]+\.json$/.test(key)) {
+      continue;
+    }
+    const index = await readCacheJSON('snapshots', key);
+    if (index && index.archive) {
+      Object.values(index.archive).forEach(entry => {
+        // Signed image references are cached under their derived ID
+        getProxiedImageKeys(entry.photo).forEach(imageKey => pinned.add(`${getImageCacheId(imageKey.replace(/\.jpg$/, ''))}.jpg`));
+        getProxiedVideoKeys(entry.photo).forEach(videoKey => pinned.add(videoKey));
+      });
     }
-    console.error('Error reading image URL mapping:', error);
-    return null;
   }
+  return pinned;
 }
 
-// Cleanup old mappings and images periodically
-setInterval(async () => {
-  const now = Date.now();
+// ============================================
+// ALBUM CHANGE LOG
+// ============================================
+// Each refresh is diffed against the previous snapshot by photoGuid and the added, removed
+// and caption-changed items are appended to a per-album log with a sequence number (cursor).
 
-  try {
-    // 1. Clean up old mappings (metadata)
-    // We only delete the mapping file, NOT the image file associated with it.
-    // This allows images to persist even if their original mapping expires,
-    // which helps in cases where the mapping is regenerated later.
-    const mappingFiles = await fs.readdir(MAPPINGS_CACHE_DIR);
-    for (const file of mappingFiles) {
-      if (file.endsWith('.json')) {
-        const mappingFile = path.join(MAPPINGS_CACHE_DIR, file);
-        try {
-          const stats = await fs.stat(mappingFile);
-          // Check file modification time as a fallback if reading content fails
-          // But generally we want to check the internal timestamp
-          const fileContent = await fs.readFile(mappingFile, 'utf-8');
-          const mapping = JSON.parse(fileContent);
-
-          if (now - mapping.timestamp > IMAGE_URL_MAP_TTL) {
-            await fs.unlink(mappingFile);
-            // Note: We deliberately DO NOT delete the corresponding image here anymore.
-            // Images are cleaned up separately based on their own access time.
-          }
-        } catch (err) {
-          // If file is corrupt or unreadable, delete it if it's old enough
-          try {
-            const stats = await fs.stat(mappingFile);
-            if (now - stats.mtimeMs > IMAGE_URL_MAP_TTL) {
-              await fs.unlink(mappingFile).catch(() => { });
-            }
-          } catch (e) {
-            // Ignore
-          }
-        }
-      }
-    }
+const MAX_CHANGE_LOG_ENTRIES = parseInt(process.env.MAX_CHANGE_LOG_ENTRIES || '1000', 10);
 
-    // 2. Clean up old images based on access time (LRU-style)
-    // This cleans up images that haven't been accessed in a long time (30 days),
-    // regardless of whether they have a valid mapping or not.
-    const imageFiles = await fs.readdir(IMAGES_CACHE_DIR);
-    for (const file of imageFiles) {
-      // Only process image files (skip .DS_Store etc)
-      if (file.match(/\.(jpg|jpeg|png|gif|webp)$/i)) {
-        const imageFile = path.join(IMAGES_CACHE_DIR, file);
-        try {
-          const stats = await fs.stat(imageFile);
-          // Check access time (atime) or modification time (mtime)
-          // We use whichever is more recent to be safe
-          const lastAccess = Math.max(stats.atimeMs, stats.mtimeMs);
+// Compare two photos arrays and return the list of changes (without timestamps/sequence numbers)
+function diffAlbumPhotos(previousPhotos, currentPhotos) {
+  const previousByGuid = new Map();
+  (Array.isArray(previousPhotos) ? previousPhotos : []).forEach(photo => {
+    if (photo && photo.photoGuid) {
+      previousByGuid.set(photo.photoGuid, photo);
+    }
+  });
+  const currentByGuid = new Map();
+  (Array.isArray(currentPhotos) ? currentPhotos : []).forEach(photo => {
+    if (photo && photo.photoGuid) {
+      currentByGuid.set(photo.photoGuid, photo);
+    }
+  });
 
-          if (now - lastAccess > IMAGE_RETENTION_TTL) {
-            await fs.unlink(imageFile);
-            console.log(`Cleaned up old image: ${file} (last accessed ${Math.round((now - lastAccess) / (1000 * 60 * 60 * 24))} days ago)`);
-          }
-        } catch (err) {
-          // Ignore errors
-        }
-      }
+  const changes = [];
+  for (const [photoGuid, photo] of currentByGuid) {
+    const previous = previousByGuid.get(photoGuid);
+    if (!previous) {
+      changes.push({ type: 'added', photoGuid, caption: photo.caption || null, dateCreated: photo.dateCreated || null });
+    } else if ((previous.caption || '') !== (photo.caption || '')) {
+      changes.push({ type: 'caption_changed', photoGuid, caption: photo.caption || null, previousCaption: previous.caption || null });
+    }
+  }
+  for (const [photoGuid, photo] of previousByGuid) {
+    if (!currentByGuid.has(photoGuid)) {
+      changes.push({ type: 'removed', photoGuid, caption: photo.caption || null });
     }
+  }
+  return changes;
+}
 
-  } catch (error) {
-    console.error('Error during cache cleanup:', error);
+async function getAlbumChangeLog(decryptedToken) {
+  const log = await readCacheJSON('changes', `${sanitizeToken(decryptedToken)}.json`);
+  return log || { nextSeq: 1, entries: [] };
+}
+
+// Diff the previous and current photos and append any changes to the album's change log
+async function recordAlbumChanges(decryptedToken, previousPhotos, currentPhotos) {
+  const changes = diffAlbumPhotos(previousPhotos, currentPhotos);
+  if (changes.length === 0) {
+    return [];
   }
-}, 60 * 60 * 1000); // Run every hour
 
-// Helper function to strip EXIF location data and optimize image
-async function stripExifLocation(imageUrl) {
-  try {
-    // Fetch the image
-    const response = await fetch(imageUrl);
-    if (!response.ok) {
-      throw new Error(`Failed to fetch image: ${response.statusText}`);
-    }
+  const log = await getAlbumChangeLog(decryptedToken);
+  const timestamp = Date.now();
+  const recorded = changes.map(change => ({ seq: log.nextSeq++, timestamp, ...change }));
+  log.entries.push(...recorded);
 
-    const imageBuffer = Buffer.from(await response.arrayBuffer());
+  // Keep the log bounded - oldest entries are dropped first
+  if (log.entries.length > MAX_CHANGE_LOG_ENTRIES) {
+    log.entries = log.entries.slice(log.entries.length - MAX_CHANGE_LOG_ENTRIES);
+  }
 
-    // Load image and get metadata
-    let image = sharp(imageBuffer);
-    const metadata = await image.metadata();
+  await writeCacheJSON('changes', `${sanitizeToken(decryptedToken)}.json`, log);
+  console.log(`Recorded ${recorded.length} change(s) for album: ${decryptedToken}`);
+  return recorded;
+}
 
-    // Calculate resize dimensions (maintain aspect ratio)
-    let width = metadata.width;
-    let height = metadata.height;
-    const needsResize = width > MAX_IMAGE_WIDTH || height > MAX_IMAGE_HEIGHT;
+// ============================================
+// UPSTREAM CLIENT (RETRY AND CIRCUIT BREAKING)
+// ============================================
+// All calls to iCloud (album fetches, image/thumbnail downloads, video downloads) go through
+// callUpstream() / upstreamFetch(), which retry transient failures and break the circuit of a
+// failing host (see upstream.js).
+
+const UPSTREAM_MAX_RETRIES = parseInt(process.env.UPSTREAM_MAX_RETRIES || '2', 10);
+const UPSTREAM_RETRY_BASE_DELAY = parseInt(process.env.UPSTREAM_RETRY_BASE_DELAY || '500', 10); // Default: 500ms, doubled each retry
+const UPSTREAM_FAILURE_THRESHOLD = parseInt(process.env.UPSTREAM_FAILURE_THRESHOLD || '5', 10);
+const UPSTREAM_COOLDOWN = parseInt(process.env.UPSTREAM_COOLDOWN || '30000', 10); // Default: 30 seconds
+
+// iCloud album API calls go to p<NN>-sharedstreams.icloud.com, so they share one breaker
+const ICLOUD_ALBUM_HOST = 'sharedstreams.icloud.com';
+
+const { callUpstream, upstreamFetch, getUpstreamStatus } = createUpstreamPolicy({
+  maxRetries: UPSTREAM_MAX_RETRIES,
+  retryBaseDelay: UPSTREAM_RETRY_BASE_DELAY,
+  failureThreshold: UPSTREAM_FAILURE_THRESHOLD,
+  cooldown: UPSTREAM_COOLDOWN
+});
 
-    if (needsResize) {
-      // Resize to fit within max dimensions while maintaining aspect ratio
-      if (width > height) {
-        if (width > MAX_IMAGE_WIDTH) {
-          height = Math.round((height * MAX_IMAGE_WIDTH) / width);
-          width = MAX_IMAGE_WIDTH;
-        }
-      } else {
-        if (height > MAX_IMAGE_HEIGHT) {
-          width = Math.round((width * MAX_IMAGE_HEIGHT) / height);
-          height = MAX_IMAGE_HEIGHT;
-        }
+// ============================================
+// UPSTREAM ALBUM SOURCE
+// ============================================
+// Album data comes from an injectable source with a single method, getAlbum(token) -> { metadata, photos },
+// and the upstream host its calls are circuit-broken under.
+//   icloud   - the real iCloud shared album API (default)
+//   http     - a stand-in server at ALBUM_SOURCE_URL speaking the fake-icloud.js protocol
+//   fixtures - starts fake-icloud.js in-process, serving ALBUM_FIXTURES_DIR (fully offline)
+// With the stand-in sources, derivative URLs point at the stand-in server, so image proxying,
+// icons and video augmentation run against local files too.
+
+const ALBUM_SOURCE = process.env.ALBUM_SOURCE || 'icloud';
+const ALBUM_SOURCE_URL = process.env.ALBUM_SOURCE_URL;
+const ALBUM_FIXTURES_DIR = process.env.ALBUM_FIXTURES_DIR || path.join(__dirname, 'fixtures');
+
+function createICloudAlbumSource() {
+  return {
+    name: 'icloud',
+    host: ICLOUD_ALBUM_HOST,
+    getAlbum: (token) => callUpstream(ICLOUD_ALBUM_HOST, () => getImages(token))
+  };
+}
+
+function createHttpAlbumSource(baseUrl, name = 'http') {
+  return {
+    name,
+    host: new URL(baseUrl).host,
+    async getAlbum(token) {
+      const response = await upstreamFetch(`${baseUrl}/albums/${encodeURIComponent(token)}`);
+      if (!response.ok) {
+        throw new Error(`Failed to fetch album from ${name} source: ${response.status} ${response.statusText}`);
       }
+      return response.json();
     }
+  };
+}
 
-    // Process image: rotate, resize, strip EXIF GPS, and optimize
-    const processedBuffer = await image
-      .rotate() // Auto-rotate based on EXIF
-      .resize(width, height, {
-        fit: 'inside',
-        withoutEnlargement: true // Don't upscale smaller images
-      })
-      .jpeg({
-        quality: IMAGE_QUALITY,
-        mozjpeg: true, // Use mozjpeg for better compression
-        progressive: true // Progressive JPEG for better perceived performance
-      })
-      .toBuffer();
-
-    return processedBuffer;
-  } catch (error) {
-    console.error('Error processing image:', error);
-    // Fallback: return original if processing fails
-    try {
-      const response = await fetch(imageUrl);
-      return Buffer.from(await response.arrayBuffer());
-    } catch (fetchError) {
-      throw new Error('Failed to fetch or process image');
+// Create the configured album source
+async function createAlbumSource(type) {
+  switch (type) {
+    case 'icloud':
+      return createICloudAlbumSource();
+    case 'http':
+      if (!ALBUM_SOURCE_URL) {
+        throw new Error('ALBUM_SOURCE_URL is required for the http album source');
+      }
+      return createHttpAlbumSource(ALBUM_SOURCE_URL.replace(/\/$/, ''));
+    case 'fixtures': {
+      const { startFakeICloud } = await import('./fake-icloud.js');
+      const server = await startFakeICloud({ dir: ALBUM_FIXTURES_DIR });
+      console.log(`Serving album fixtures from ${ALBUM_FIXTURES_DIR} on ${server.url}`);
+      return createHttpAlbumSource(server.url, 'fixtures');
     }
+    default:
+      throw new Error(`Unknown ALBUM_SOURCE: ${type} (expected 'icloud', 'http' or 'fixtures')`);
   }
 }
 
-// Route to proxy images with EXIF stripping (using secure ID with .jpg extension)
-app.get('/api/image/:secureId.jpg', async (req, res) => {
-  try {
-    const { secureId } = req.params;
+const albumSource = await createAlbumSource(ALBUM_SOURCE);
+console.log(`Using ${albumSource.name} album source`);
 
-    if (!secureId) {
+// ============================================
+// LEASES
+// ============================================
+// Instances sharing a storage backend coordinate work that only one of them should do (fetching an
+// album, compacting the mapping log) through lease entries in the 'leases' namespace. A lease is taken
+// with an atomic create, so exactly one instance gets it; one left behind by a crashed instance is
+// taken over once it's older than its TTL (by whichever instance first claims that takeover).
+
+const INSTANCE_ID = crypto.randomBytes(8).toString('hex');
+
+// Resolves to true if this instance now holds the lease
+async function acquireLease(key, ttl) {
+  const lease = JSON.stringify({ owner: INSTANCE_ID, startedAt: Date.now() });
+  if (await storage.create('leases', key, lease)) {
+    return true;
+  }
+  const existing = await readCacheJSON('leases', key);
+  if (existing && Date.now() - existing.startedAt <= ttl) {
+    return false;
+  }
+  // Only one instance may replace a given expired lease
+  const takeoverKey = `${key}.takeover-${existing ? existing.startedAt : 0}`;
+  if (!(await storage.create('leases', takeoverKey, lease))) {
+    return false;
+  }
+  await storage.delete('leases', key);
+  const acquired = await storage.create('leases', key, lease);
+  await storage.delete('leases', takeoverKey);
+  return acquired;
+}
+
+async function releaseLease(key) {
+  const lease = await readCacheJSON('leases', key);
+  if (lease && lease.owner === INSTANCE_ID) {
+    await storage.delete('leases', key);
+  }
+}
+
+// ============================================
+// SINGLE-FLIGHT ALBUM FETCHING
+// ============================================
+// Every upstream album fetch goes through fetchAlbum() so concurrent callers for the same
+// decrypted token share one upstream request, and the result is written to the cache once.
+// Instances sharing a storage backend also coordinate through a short-lived lease (see LEASES),
+// so a burst of first hits across instances still only fetches once.
+
+const inFlightAlbumFetches = new Map(); // decryptedToken -> Promise resolving to album data
+const ALBUM_FETCH_LEASE_TTL = parseInt(process.env.ALBUM_FETCH_LEASE_TTL || '60000', 10); // Default: 60 seconds
+const ALBUM_FETCH_LEASE_POLL_INTERVAL = 500;
+
+function albumFetchLeaseKey(decryptedToken) {
+  return `${sanitizeToken(decryptedToken)}.lease`;
+}
+
+// Wait for the instance holding this album's lease to finish, and return its result
+async function waitForLeasedAlbumFetch(decryptedToken) {
+  const leaseKey = albumFetchLeaseKey(decryptedToken);
+  let lease = await readCacheJSON('leases', leaseKey);
+  if (!lease || Date.now() - lease.startedAt > ALBUM_FETCH_LEASE_TTL) {
+    return null;
+  }
+
+  console.log(`Album ${decryptedToken} is being fetched by another instance, waiting...`);
+  const startedAt = lease.startedAt;
+  while (lease && Date.now() - lease.startedAt <= ALBUM_FETCH_LEASE_TTL) {
+    await new Promise(resolve => setTimeout(resolve, ALBUM_FETCH_LEASE_POLL_INTERVAL));
+    lease = await readCacheJSON('leases', leaseKey);
+  }
+
+  // Only use the cached data if it was written after the other fetch started
+  const cached = await getCachedData(decryptedToken);
+  if (cached && cached.timestamp >= startedAt) {
+    return cached.data;
+  }
+  return null;
+}
+
+// Fetch an album from iCloud, sharing the in-flight request between concurrent callers
+function fetchAlbum(decryptedToken) {
+  const inFlight = inFlightAlbumFetches.get(decryptedToken);
+  if (inFlight) {
+    return inFlight;
+  }
+
+  const fetchPromise = (async () => {
+    const leaseKey = albumFetchLeaseKey(decryptedToken);
+    const takeLease = () => acquireLease(leaseKey, ALBUM_FETCH_LEASE_TTL).catch(err => {
+      console.error('Error taking album fetch lease:', err);
+      return false;
+    });
+    // If the other instance's fetch fails (or takes too long), fetch it here after all
+    if (!(await takeLease())) {
+      const leasedResult = await waitForLeasedAlbumFetch(decryptedToken);
+      if (leasedResult) {
+        return leasedResult;
+      }
+      await takeLease();
+    }
+
+    try {
+      const data = await albumSource.getAlbum(decryptedToken);
+
+      // Record what changed since the previous snapshot before overwriting it
+      const previous = await getCachedData(decryptedToken);
+      let changes = [];
+      if (previous && previous.data) {
+        changes = await recordAlbumChanges(decryptedToken, previous.data.photos, data.photos).catch(err => {
+          console.error('Error recording album changes:', err);
+          return [];
+        });
+      }
+      await recordAlbumSnapshot(decryptedToken, data, previous?.data?.photos, changes).catch(err => {
+        console.error('Error recording album snapshot:', err);
+      });
+
+      // Store original data in cache (URLs are rewritten on read)
+      await setCachedData(decryptedToken, data, false);
+      setReloading(decryptedToken, false);
+
+      if (CACHE_PREWARM) {
+        prewarmAlbum(decryptedToken, data).catch(err => {
+          console.error('Error pre-warming album:', err);
+        });
+      }
+      return data;
+    } finally {
+      await releaseLease(leaseKey).catch(() => { });
+    }
+  })().finally(() => {
+    inFlightAlbumFetches.delete(decryptedToken);
+  });
+
+  inFlightAlbumFetches.set(decryptedToken, fetchPromise);
+  return fetchPromise;
+}
+
+// Enable JSON body parsing
+app.use(express.json());
+
+// Enable CORS for all routes
+app.use((req, res, next) => {
+  res.header('Access-Control-Allow-Origin', '*');
+  res.header('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
+  res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+  if (req.method === 'OPTIONS') {
+    return res.sendStatus(200);
+  }
+  next();
+});
+
+// Add cache headers for static assets (images, etc.)
+app.use((req, res, next) => {
+  // Image and video proxy requests set their own cache headers
+  if (req.path.startsWith('/api/image/') || req.path.startsWith('/api/video/')) {
+    // Cache headers will be set in the route handler
+    return next();
+  }
+  // For JS/CSS files, use shorter cache with revalidation for iOS
+  if (req.path.match(/\.(js|css)$/i)) {
+    res.set('Cache-Control', 'public, max-age=3600, must-revalidate');
+    res.set('Vary', 'Accept-Encoding');
+    // Add version query param if present for cache busting
+    if (req.query.v) {
+      res.set('ETag', `"${req.query.v}"`);
+    }
+  }
+  // For other static files, add cache headers
+  else if (req.path.match(/\.(jpg|jpeg|png|gif|webp|svg|ico|woff|woff2|ttf|eot)$/i)) {
+    res.set('Cache-Control', 'public, max-age=31536000, immutable');
+  }
+  next();
+});
+
+// Secure image URL mapping (opaque ID -> original URL) - stored on disk
+const IMAGE_URL_MAP_TTL = 7 * 24 * 60 * 60 * 1000; // 7 days (was 24 hours)
+// Image retention period: 30 days
+const IMAGE_RETENTION_TTL = 30 * 24 * 60 * 60 * 1000;
+
+// Image optimization configuration
+const MAX_IMAGE_WIDTH = parseInt(process.env.MAX_IMAGE_WIDTH || '1920', 10);
+const MAX_IMAGE_HEIGHT = parseInt(process.env.MAX_IMAGE_HEIGHT || '1920', 10);
+const IMAGE_QUALITY = parseInt(process.env.IMAGE_QUALITY || '85', 10); // 0-100, default 85
+const WEBP_QUALITY = parseInt(process.env.WEBP_QUALITY || '80', 10); // 0-100, default 80
+const AVIF_QUALITY = parseInt(process.env.AVIF_QUALITY || '50', 10); // 0-100, default 50 (AVIF holds up at lower values)
+
+// Encodings the image proxy can produce. JPEG is always available (PNG and GIF too, for sources with
+// transparency or animation); the modern ones are offered (in IMAGE_FORMATS order of preference)
+// to clients whose Accept header lists them.
+const IMAGE_ENCODINGS = {
+  jpeg: { extension: 'jpg', contentType: 'image/jpeg' },
+  png: { extension: 'png', contentType: 'image/png' },
+  gif: { extension: 'gif', contentType: 'image/gif' },
+  webp: { extension: 'webp', contentType: 'image/webp' },
+  avif: { extension: 'avif', contentType: 'image/avif' }
+};
+const MODERN_IMAGE_FORMATS = ['webp', 'avif'];
+const IMAGE_FORMATS = (process.env.IMAGE_FORMATS || 'avif,webp')
+  .split(',')
+  .map(format => format.trim().toLowerCase())
+  .filter(format => MODERN_IMAGE_FORMATS.includes(format));
+
+// Pick the best encoding for an Accept header (explicit image/avif or image/webp entries only -
+// wildcards like */* don't tell us the browser can decode them). `candidates` narrows the
+// modern encodings considered.
+function negotiateImageFormat(acceptHeader, candidates = IMAGE_FORMATS) {
+  if (!acceptHeader) {
+    return 'jpeg';
+  }
+  const accepted = new Set();
+  acceptHeader.split(',').forEach(part => {
+    const [type, ...params] = part.trim().toLowerCase().split(';');
+    const q = params.map(param => param.trim()).find(param => param.startsWith('q='));
+    if (!q || parseFloat(q.slice(2)) > 0) {
+      accepted.add(type.trim());
+    }
+  });
+  return candidates.find(format => accepted.has(IMAGE_ENCODINGS[format].contentType)) || 'jpeg';
+}
+
+// What the image proxy needs to know about an original to pick its output encoding
+function describeImageSource(metadata) {
+  return {
+    format: metadata.format,
+    alpha: Boolean(metadata.hasAlpha),
+    animated: (metadata.pages || 1) > 1 && ['gif', 'webp'].includes(metadata.format)
+  };
+}
+
+// Output encoding for an original (`source` from describeImageSource, null if not yet known).
+// Animation is kept (animated WebP where accepted, GIF otherwise) unless a watermark flattens the image
+// to its first frame, and transparency is kept (PNG unless a modern encoding was negotiated).
+// Everything else, HEIC included, gets the negotiated encoding.
+function chooseImageFormat(source, acceptHeader, watermark = null) {
+  const negotiated = negotiateImageFormat(acceptHeader);
+  if (!source) {
+    return negotiated;
+  }
+  if (source.animated && !watermark) {
+    return negotiateImageFormat(acceptHeader, IMAGE_FORMATS.includes('webp') ? ['webp'] : []) === 'webp' ? 'webp' : 'gif';
+  }
+  if (source.alpha && negotiated === 'jpeg') {
+    return 'png';
+  }
+  return negotiated;
+}
+
+// HEIC/HEIF originals that sharp can't decode itself (its bundled libheif only handles AVIF)
+function needsHeicDecode(metadata) {
+  return metadata.format === 'heif' && metadata.compression !== 'av1';
+}
+
+// Widths the image proxy resizes to on request (?w=), capped at MAX_IMAGE_WIDTH.
+// A fixed allowlist keeps the number of cached variants per image bounded.
+const IMAGE_WIDTHS = (process.env.IMAGE_WIDTHS || '320,640,960,1280,1920')
+  .split(',')
+  .map(width => parseInt(width, 10))
+  .filter(width => width > 0 && width <= MAX_IMAGE_WIDTH)
+  .sort((a, b) => a - b);
+
+// `sizes` values for the viewer layouts, sent alongside each photo's srcset
+const IMAGE_SIZES = {
+  grid: '(max-width: 768px) 50vw, 300px',
+  full: '90vw'
+};
+
+// Cache key of a processed image in a given encoding (and width, for resized variants).
+// `variant` tags images rendered with a watermark, so changing the watermark never serves stale renders.
+// Signed image references are cached under their derived ID (see getImageCacheId).
+function imageCacheKey(secureId, format = 'jpeg', width = null, variant = null) {
+  const variantSuffix = variant ? `.${variant}` : '';
+  const widthSuffix = width ? `.w${width}` : '';
+  return `${getImageCacheId(secureId)}${variantSuffix}${widthSuffix}.${IMAGE_ENCODINGS[format].extension}`;
+}
+
+// ============================================
+// METADATA POLICY
+// ============================================
+// Re-encoding drops all metadata; the fields named in EXIF_ALLOWLIST are written back into the
+// output and exposed as a structured `exif` object per photo in album responses. Only fields in
+// EXIF_FIELDS can be kept, so GPS data and serial numbers (body, lens, camera owner) are always removed.
+
+const EXIF_FIELDS = {
+  dateTaken: { section: 'Photo', tag: 'DateTimeOriginal', ifd: 'IFD2', type: 'date' },
+  make: { section: 'Image', tag: 'Make', ifd: 'IFD0' },
+  model: { section: 'Image', tag: 'Model', ifd: 'IFD0' },
+  lens: { section: 'Photo', tag: 'LensModel', ifd: 'IFD2' },
+  exposureTime: { section: 'Photo', tag: 'ExposureTime', ifd: 'IFD2', type: 'rational' },
+  fNumber: { section: 'Photo', tag: 'FNumber', ifd: 'IFD2', type: 'rational' },
+  iso: { section: 'Photo', tag: 'ISOSpeedRatings', ifd: 'IFD2' },
+  focalLength: { section: 'Photo', tag: 'FocalLength', ifd: 'IFD2', type: 'rational' },
+  software: { section: 'Image', tag: 'Software', ifd: 'IFD0' },
+  artist: { section: 'Image', tag: 'Artist', ifd: 'IFD0' },
+  copyright: { section: 'Image', tag: 'Copyright', ifd: 'IFD0' }
+};
+
+const EXIF_ALLOWLIST = (process.env.EXIF_ALLOWLIST ?? 'dateTaken,make,model,lens,exposureTime,fNumber,iso,focalLength')
+  .split(',')
+  .map(field => field.trim())
+  .filter(field => {
+    if (field && !EXIF_FIELDS[field]) {
+      console.warn(`Ignoring unknown EXIF_ALLOWLIST field: ${field} (GPS and serial numbers can't be kept)`);
+    }
+    return Boolean(EXIF_FIELDS[field]);
+  });
+
+// Read the allowlisted fields from a raw EXIF block (from sharp's metadata), or null if there are none
+function readAllowedExif(exifBuffer) {
+  if (!exifBuffer || EXIF_ALLOWLIST.length === 0) {
+    return null;
+  }
+  let parsed;
+  try {
+    parsed = exifReader(exifBuffer);
+  } catch (error) {
+    return null;
+  }
+
+  const exif = {};
+  EXIF_ALLOWLIST.forEach(field => {
+    const { section, tag, type } = EXIF_FIELDS[field];
+    let value = parsed[section] ? parsed[section][tag] : undefined;
+    if (Array.isArray(value)) {
+      value = value[0];
+    }
+    if (value === undefined || value === null || value === '') {
+      return;
+    }
+    if (type === 'date') {
+      // EXIF dates have no time zone; exif-reader reads them as UTC, so drop the Z to keep them local
+      if (!(value instanceof Date) || isNaN(value.getTime())) {
+        return;
+      }
+      value = value.toISOString().replace(/\.000Z$/, '');
+    } else if (type === 'rational' && typeof value === 'number') {
+      value = Math.round(value * 1e6) / 1e6;
+    }
+    exif[field] = typeof value === 'string' ? value.trim() : value;
+  });
+  return Object.keys(exif).length > 0 ? exif : null;
+}
+
+// Convert structured fields back into the tag strings sharp's withExif() expects
+function toExifTags(exif) {
+  const tags = {};
+  Object.entries(exif).forEach(([field, value]) => {
+    const { ifd, tag, type } = EXIF_FIELDS[field];
+    let text;
+    if (type === 'date') {
+      text = value.replace(/-/g, ':').replace('T', ' ');
+    } else if (type === 'rational') {
+      // Exposure times read best as 1/x, everything else to two decimals
+      text = value > 0 && value < 1 ? `1/${Math.round(1 / value)}` : `${Math.round(value * 100)}/100`;
+    } else {
+      text = String(value);
+    }
+    tags[ifd] = tags[ifd] || {};
+    tags[ifd][tag] = text;
+  });
+  return tags;
+}
+
+// ============================================
+// MAPPING STORE
+// ============================================
+// Secure ID -> original URL mappings (with each image's watermark album, placeholder, EXIF and source
+// format, and the album, photoGuid and derivative size the URL came from) are held in memory, indexed by secure ID and by URL, and persisted as an append-only log of
+// JSON lines in the 'mappings' namespace. The log starts with a `{ generation }` header; every other
+// record updates one mapping (`{ id, ...changed fields }`) or removes it (`{ id, deleted: true }`).
+// Lookups never touch storage, a whole album's new URLs are stored with one append, and the hourly
+// cleanup compacts the log once most of it is superseded. Instances sharing the cache pick up each
+// other's records when a lookup misses. Caches from before the log (a `<secureId>.json` and a
+// `_lookup_<hash>.json` file per URL) are migrated on startup.
+//
+// Compaction never rewrites a log in place: the live mappings go to a new `mappings-<generation>.log`
+// and `mappings.current` is switched to name it (without a pointer, the log is `mappings.log`). Only
+// the instance holding the compaction lease compacts. Records appended to the old log around the
+// switch are copied over by the compacting instance or, if they land after that, appended again by
+// their writer once it sees the switch, so no instance's records are lost.
+
+const MAPPING_LOG_KEY = 'mappings.log';
+const MAPPING_LOG_POINTER_KEY = 'mappings.current';
+const MAPPING_LOG_PATTERN = /^mappings(-[0-9a-f]+)?\.log$/;
+const MAPPING_TIMESTAMP_REFRESH = 60 * 60 * 1000; // Log a used mapping's new timestamp at most hourly
+const MAPPING_COMPACT_MIN_RECORDS = 1000; // Don't bother compacting smaller logs
+const MAPPING_COMPACT_LEASE_KEY = 'mappings.compact.lease';
+const MAPPING_COMPACT_LEASE_TTL = 10 * 60 * 1000;
+
+const mappingIndex = new Map(); // secureId -> mapping
+const mappingIdsByUrl = new Map(); // mappingUrlKey() -> secureId
+let mappingLogKey = null; // The log the index was loaded from
+let mappingLogOffset = 0; // Bytes of the log applied to the index
+let mappingLogRecords = 0; // Records in the log (superseded ones included)
+let mappingLogWrites = Promise.resolve(); // Appends and rewrites run one at a time
+
+function mappingUrlKey(url, watermarkAlbum) {
+  return watermarkAlbum ? `${url}#watermark=${watermarkAlbum}` : url;
+}
+
+function applyMappingRecord(record) {
+  const existing = mappingIndex.get(record.id);
+  if (record.deleted) {
+    if (existing && mappingIdsByUrl.get(mappingUrlKey(existing.url, existing.watermark)) === record.id) {
+      mappingIdsByUrl.delete(mappingUrlKey(existing.url, existing.watermark));
+    }
+    mappingIndex.delete(record.id);
+    return;
+  }
+  const { id, ...fields } = record;
+  const mapping = { ...existing, ...fields };
+  // A re-resolved URL replaces the expired one in the URL index
+  if (existing && existing.url !== mapping.url &&
+    mappingIdsByUrl.get(mappingUrlKey(existing.url, existing.watermark)) === id) {
+    mappingIdsByUrl.delete(mappingUrlKey(existing.url, existing.watermark));
+  }
+  mappingIndex.set(id, mapping);
+  if (mapping.url) {
+    mappingIdsByUrl.set(mappingUrlKey(mapping.url, mapping.watermark), id);
+  }
+}
+
+async function readMappingLog(logKey, start, end) {
+  const chunks = [];
+  for await (const chunk of storage.createReadStream('mappings', logKey, { start, end })) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+// The log new records go to. A pointer caught mid-write counts as unchanged.
+async function readCurrentMappingLogKey() {
+  const pointer = await storage.get('mappings', MAPPING_LOG_POINTER_KEY);
+  const logKey = pointer && pointer.toString('utf-8').trim();
+  return (logKey && MAPPING_LOG_PATTERN.test(logKey) ? logKey : null) || mappingLogKey || MAPPING_LOG_KEY;
+}
+
+function resetMappingIndex(logKey) {
+  mappingIndex.clear();
+  mappingIdsByUrl.clear();
+  mappingLogKey = logKey;
+  mappingLogOffset = 0;
+  mappingLogRecords = 0;
+}
+
+// Apply log records written since the last sync (the whole log the first time, or after another
+// instance switched to a compacted log). A torn last line is left for the next sync. Concurrent calls
+// share one run.
+let pendingMappingSync = null;
+
+function syncMappingLog() {
+  if (!pendingMappingSync) {
+    pendingMappingSync = readNewMappingRecords().finally(() => {
+      pendingMappingSync = null;
+    });
+  }
+  return pendingMappingSync;
+}
+
+async function readNewMappingRecords() {
+  const logKey = await readCurrentMappingLogKey();
+  if (logKey !== mappingLogKey) {
+    resetMappingIndex(logKey);
+  }
+  const stats = await storage.stat('mappings', logKey);
+  if (!stats) {
+    return;
+  }
+  if (stats.size < mappingLogOffset) {
+    resetMappingIndex(logKey); // Rewritten in place (by an older version)
+  }
+  if (stats.size <= mappingLogOffset) {
+    return;
+  }
+
+  const data = await readMappingLog(logKey, mappingLogOffset, stats.size - 1);
+  const complete = data.lastIndexOf(0x0a) + 1;
+  data.subarray(0, complete).toString('utf-8').split('\n').forEach(line => {
+    if (!line) {
+      return;
+    }
+    try {
+      const record = JSON.parse(line);
+      if (!record.generation) {
+        applyMappingRecord(record);
+        mappingLogRecords++;
+      }
+    } catch (error) {
+      console.warn('Skipping unreadable mapping log record');
+    }
+  });
+  mappingLogOffset += complete;
+}
+
+// Apply records to the index and append them to the log. Our own appends are re-read (harmlessly)
+// by the next sync, since other instances may have appended in between.
+function recordMappings(records) {
+  records.forEach(applyMappingRecord);
+  const data = records.map(record => `${JSON.stringify(record)}\n`).join('');
+  mappingLogWrites = mappingLogWrites.catch(() => { }).then(() => appendMappingRecords(data));
+  return mappingLogWrites;
+}
+
+// Append to the current log, and again to whichever log replaced it if it was switched meanwhile
+async function appendMappingRecords(data) {
+  let logKey = mappingLogKey || MAPPING_LOG_KEY;
+  for (;;) {
+    await storage.append('mappings', logKey, data);
+    const currentKey = await readCurrentMappingLogKey();
+    if (currentKey === logKey) {
+      return;
+    }
+    logKey = currentKey;
+  }
+}
+
+// Write a header plus one record per live mapping to a new log, switch to it and copy over anything
+// appended to the old log since it was read. Logs older than the one replaced are deleted (the
+// replaced one may still get an append or two from instances that haven't seen the switch).
+function writeMappingLog() {
+  mappingLogWrites = mappingLogWrites.catch(() => { }).then(async () => {
+    await syncMappingLog();
+    const previousKey = mappingLogKey;
+    const previousOffset = mappingLogOffset;
+
+    const generation = crypto.randomBytes(8).toString('hex');
+    const logKey = `mappings-${generation}.log`;
+    const lines = [JSON.stringify({ generation })];
+    mappingIndex.forEach((mapping, id) => lines.push(JSON.stringify({ id, ...mapping })));
+    const data = `${lines.join('\n')}\n`;
+    await storage.set('mappings', logKey, data);
+    await storage.set('mappings', MAPPING_LOG_POINTER_KEY, logKey);
+    mappingLogKey = logKey;
+    mappingLogOffset = Buffer.byteLength(data);
+    mappingLogRecords = mappingIndex.size;
+
+    // Complete records appended since the sync are applied by the next sync of the new log
+    const stats = previousKey && await storage.stat('mappings', previousKey);
+    if (stats && stats.size > previousOffset) {
+      const tail = await readMappingLog(previousKey, previousOffset, stats.size - 1);
+      const complete = tail.lastIndexOf(0x0a) + 1;
+      if (complete > 0) {
+        await storage.append('mappings', logKey, tail.subarray(0, complete));
+      }
+    }
+
+    for (const key of await storage.list('mappings')) {
+      if (MAPPING_LOG_PATTERN.test(key) && key !== logKey && key !== previousKey) {
+        await storage.delete('mappings', key).catch(() => { });
+      }
+    }
+  });
+  return mappingLogWrites;
+}
+
+// Compact the log once superseded records outnumber live ones (one instance at a time)
+async function compactMappingLog() {
+  await syncMappingLog(); // Keep other instances' latest records
+  if (mappingLogRecords <= MAPPING_COMPACT_MIN_RECORDS || mappingLogRecords <= mappingIndex.size * 2) {
+    return;
+  }
+  if (!(await acquireLease(MAPPING_COMPACT_LEASE_KEY, MAPPING_COMPACT_LEASE_TTL))) {
+    return; // Another instance is compacting
+  }
+  try {
+    const before = mappingLogRecords;
+    await writeMappingLog();
+    console.log(`Compacted the mapping log from ${before} to ${mappingLogRecords} records`);
+  } finally {
+    await releaseLease(MAPPING_COMPACT_LEASE_KEY).catch(() => { });
+  }
+}
+
+// Move mappings from the one-file-per-URL layout into the log. The old files are only deleted once
+// every migrated mapping has been read back from the log.
+async function migrateMappingFiles() {
+  const keys = (await storage.list('mappings')).filter(key => key.endsWith('.json'));
+  const records = [];
+  for (const key of keys) {
+    if (key.startsWith('_lookup_')) {
+      continue; // The URL index is rebuilt from the mappings
+    }
+    const mapping = await readCacheJSON('mappings', key);
+    if (mapping && mapping.url) {
+      records.push({ id: key.replace(/\.json$/, ''), ...mapping });
+    }
+  }
+
+  if (records.length > 0) {
+    await syncMappingLog(); // Points the index at the current log
+    await recordMappings(records);
+    resetMappingIndex(mappingLogKey);
+    await syncMappingLog();
+    const missing = records.filter(record => !mappingIndex.has(record.id)).length;
+    if (missing > 0) {
+      throw new Error(`MAPPING_MIGRATION_FAILED: ${missing} of ${records.length} mappings could not be read back from ${mappingLogKey}`);
+    }
+  }
+  for (const key of keys) {
+    await storage.delete('mappings', key).catch(() => { });
+  }
+  if (keys.length > 0) {
+    console.log(`Migrated ${records.length} image mappings (${keys.length} files) to ${mappingLogKey}`);
+  }
+}
+
+async function loadMappingStore() {
+  if (!(await storage.stat('mappings', await readCurrentMappingLogKey()))) {
+    await migrateMappingFiles();
+  }
+  await syncMappingLog();
+  console.log(`Loaded ${mappingIndex.size} image mappings`);
+}
+
+await loadMappingStore().catch(err => {
+  console.error('Error loading image mappings:', err);
+});
+
+// A secure ID's mapping, checking the log for other instances' records if it isn't known here
+async function findMapping(secureId) {
+  if (!mappingIndex.has(secureId)) {
+    await syncMappingLog().catch(err => {
+      console.error('Error reading mapping log:', err);
+    });
+  }
+  return mappingIndex.get(secureId) || null;
+}
+
+// Generate secure random ID for image URLs
+function generateSecureId() {
+  return crypto.randomBytes(16).toString('hex');
+}
+
+// Store a batch of image URLs (e.g. a whole album) and return their opaque IDs, in order
+// Same URL = same secure ID; new URLs (and refreshed timestamps of used ones) are logged in one append
+// `watermarkAlbum` (a decrypted token) gives the URLs separate secure IDs whose images carry that
+// album's watermark, so the un-watermarked IDs can't be used to get around it
+// `origins[i]` ({ album, photoGuid, derivative }) records where a URL came from, so it can be looked up
+// again in the album once it expires (see reresolveImageMapping)
+async function storeImageUrls(originalUrls, watermarkAlbum = null, origins = []) {
+  const now = Date.now();
+  const records = [];
+  const secureIds = originalUrls.map((originalUrl, i) => {
+    const existingId = mappingIdsByUrl.get(mappingUrlKey(originalUrl, watermarkAlbum));
+    const existing = existingId && mappingIndex.get(existingId);
+    const origin = origins[i];
+    let record;
+    if (existing) {
+      // Keep frequently used mappings from expiring
+      if (now - existing.timestamp > MAPPING_TIMESTAMP_REFRESH) {
+        record = { id: existingId, timestamp: now };
+      }
+      // URLs stored without their origin (e.g. by pre-warming) get it the first time an album response has it
+      if (origin && !hasMappingOrigin(existing)) {
+        record = { id: existingId, ...record, ...origin };
+      }
+    } else {
+      record = { id: generateSecureId(), url: originalUrl, timestamp: now, ...origin };
+      if (watermarkAlbum) {
+        record.watermark = watermarkAlbum;
+      }
+    }
+    if (record) {
+      applyMappingRecord(record); // Repeats of a URL in this batch share the ID
+      records.push(record);
+    }
+    return existingId || record.id;
+  });
+
+  if (records.length > 0) {
+    await recordMappings(records).catch(error => {
+      console.error('Error storing image URL mappings:', error);
+    });
+  }
+  return secureIds;
+}
+
+// Store a single image URL and return its opaque ID
+async function storeImageUrl(originalUrl, watermarkAlbum = null, origin = null) {
+  const [secureId] = await storeImageUrls([originalUrl], watermarkAlbum, [origin]);
+  return secureId;
+}
+
+// Whether a mapping knows which album derivative its URL came from
+function hasMappingOrigin(mapping) {
+  return Boolean(mapping && mapping.album && mapping.photoGuid && mapping.derivative);
+}
+
+// Mappings whose URL has expired are kept as long as processed images are when they can be re-resolved
+// (as are the details of signed images, which have no URL)
+function getMappingRetention(mapping) {
+  return hasMappingOrigin(mapping) || !mapping.url ? IMAGE_RETENTION_TTL : IMAGE_URL_MAP_TTL;
+}
+
+// Retrieve the mapping stored for a secure ID ({ url, watermark, album, photoGuid, derivative, ... })
+// Mappings older than IMAGE_URL_MAP_TTL are treated as missing, unless `includeExpired` is set and they
+// can be re-resolved - then they're returned with `expired: true`.
+async function getImageMapping(secureId, { includeExpired = false } = {}) {
+  if (isSignedImageReference(secureId)) {
+    return getSignedImageMapping(secureId);
+  }
+  const mapping = await findMapping(secureId);
+  if (!mapping) {
+    return null; // Not stored
+  }
+
+  const age = Date.now() - mapping.timestamp;
+  if (age > IMAGE_URL_MAP_TTL) {
+    // Clean up old mappings
+    if (age > getMappingRetention(mapping)) {
+      await recordMappings([{ id: secureId, deleted: true }]).catch(() => { });
+      return null;
+    }
+    return includeExpired ? { ...mapping, expired: true } : null;
+  }
+
+  return mapping;
+}
+
+// Retrieve original URL from secure ID
+async function getImageUrl(secureId) {
+  const mapping = await getImageMapping(secureId);
+  return mapping ? mapping.url : null;
+}
+
+// iCloud answers 401/403 once a derivative URL's signature has expired
+function isExpiredUrlError(error) {
+  return [401, 403].includes(error.upstreamStatus);
+}
+
+function findDerivativeUrl(data, mapping) {
+  const photo = ((data && data.photos) || []).find(p => p && p.photoGuid === mapping.photoGuid);
+  const derivative = photo && photo.derivatives && photo.derivatives[mapping.derivative];
+  return derivative && typeof derivative.url === 'string' ? derivative.url : null;
+}
+
+const RERESOLVE_RETRY_INTERVAL = 10 * 60 * 1000; // After a failed re-resolution, the album isn't asked again for a while
+const reresolveFailures = new Map(); // secureId -> time of the last failed re-resolution
+
+function recordReresolveFailure(secureId) {
+  const now = Date.now();
+  reresolveFailures.forEach((failedAt, id) => {
+    if (now - failedAt >= RERESOLVE_RETRY_INTERVAL) {
+      reresolveFailures.delete(id);
+    }
+  });
+  reresolveFailures.set(secureId, now);
+}
+
+// Look up the current URL of an expired mapping's derivative in its album and store it under the same
+// secure ID (so cached images and clients' album JSON keep working). Album data cached after the mapping
+// was stored is used as is; otherwise the album is fetched again (shared with any fetch in flight).
+// Failures (e.g. a photo removed from its album) are remembered for RERESOLVE_RETRY_INTERVAL, so
+// repeated requests for the image don't each go upstream.
+// Resolves to the updated mapping, or null if it can't be re-resolved.
+async function reresolveImageMapping(secureId, mapping) {
+  if (!hasMappingOrigin(mapping)) {
+    return null;
+  }
+  const failedAt = reresolveFailures.get(secureId);
+  if (failedAt && Date.now() - failedAt < RERESOLVE_RETRY_INTERVAL) {
+    return null;
+  }
+  try {
+    const cached = await getCachedData(mapping.album);
+    // An album cached after the mapping was stored is as current as fetching it again would be
+    const cachedIsNewer = Boolean(cached && !mapping.signed && cached.timestamp > mapping.timestamp);
+    // Signed references have no timestamp, so any cached URL other than the rejected one is worth trying
+    let url = cached && (cachedIsNewer || mapping.signed) ? findDerivativeUrl(cached.data, mapping) : null;
+    if (!cachedIsNewer && (!url || url === mapping.url)) {
+      url = findDerivativeUrl(await fetchAlbum(mapping.album), mapping);
+    }
+    if (!url || url === mapping.url) {
+      console.warn(`Could not re-resolve image ${secureId}: ${url ? 'the album has the same URL' : 'the photo is no longer in its album'}`);
+      recordReresolveFailure(secureId);
+      return null;
+    }
+    reresolveFailures.delete(secureId);
+
+    // Signed references carry their URL, so there's nothing to store
+    if (mapping.signed) {
+      return { ...mapping, url };
+    }
+    await recordMappings([{ id: secureId, url, timestamp: Date.now() }]);
+    console.log(`Re-resolved image ${secureId} from album ${mapping.album}`);
+    return mappingIndex.get(secureId);
+  } catch (error) {
+    console.warn(`Could not re-resolve image ${secureId}:`, error.message);
+    recordReresolveFailure(secureId);
+    return null;
+  }
+}
+
+// ============================================
+// SIGNED IMAGE URLS
+// ============================================
+// With IMAGE_URL_MODE=signed, album responses reference images with `s-<reference>` in place of a
+// random secure ID. The reference is the derivative's URL (with its watermark album and origin, and an
+// expiry if SIGNED_IMAGE_URL_TTL is set), compressed and encrypted with AES-256-GCM, so the proxy can
+// verify and read it without a mapping lookup and any instance with the same secret can serve it.
+// Signed references are only accepted in signed mode, and only for URLs on the album source's media
+// hosts; stored secure IDs are always accepted, so switching to signed mode keeps old URLs working.
+// Processed images and image details of a signed reference are keyed by an ID derived from its URL.
+
+const IMAGE_URL_MODE = process.env.IMAGE_URL_MODE === 'signed' ? 'signed' : 'mapping';
+const SIGNED_IMAGE_URL_TTL = parseInt(process.env.SIGNED_IMAGE_URL_TTL || '0', 10); // 0 = never expire
+const SIGNED_IMAGE_URL_EXPIRY_STEP = 60 * 60 * 1000; // Expiries are rounded up so URLs stay stable for a while
+const SIGNED_IMAGE_PREFIX = 's-';
+const SIGNED_IMAGE_ID = /^s[0-9a-f]{31}$/;
+const SIGNED_IMAGE_URL_SECRET = process.env.SIGNED_IMAGE_URL_SECRET || ENCRYPTION_SECRET;
+const ICLOUD_MEDIA_HOST = /\.icloud-content\.com$/;
+
+// Anyone can forge references under the public default secret
+if (IMAGE_URL_MODE === 'signed' && SIGNED_IMAGE_URL_SECRET === DEFAULT_ENCRYPTION_SECRET) {
+  throw new Error('IMAGE_URL_MODE=signed requires ENCRYPTION_SECRET or SIGNED_IMAGE_URL_SECRET to be set');
+}
+
+const signedImageKey = crypto.createHash('sha256')
+  .update(`signed-image-urls:${SIGNED_IMAGE_URL_SECRET}`)
+  .digest();
+
+function isSignedImageReference(secureId) {
+  return typeof secureId === 'string' && secureId.startsWith(SIGNED_IMAGE_PREFIX);
+}
+
+// Cache ID of a signed image, shaped like a secure ID but starting with 's' (which hex IDs never do)
+function signedImageId(url, watermarkAlbum = null) {
+  return `s${crypto.createHash('sha256').update(mappingUrlKey(url, watermarkAlbum)).digest('hex').slice(0, 31)}`;
+}
+
+function signImageReference(url, watermarkAlbum = null, origin = null) {
+  const payload = { u: url };
+  if (watermarkAlbum) {
+    payload.w = watermarkAlbum;
+  }
+  if (origin) {
+    Object.assign(payload, { a: origin.album, g: origin.photoGuid, d: origin.derivative });
+  }
+  if (SIGNED_IMAGE_URL_TTL > 0) {
+    const step = Math.min(SIGNED_IMAGE_URL_TTL, SIGNED_IMAGE_URL_EXPIRY_STEP);
+    payload.e = Math.ceil((Date.now() + SIGNED_IMAGE_URL_TTL) / step) * step;
+  }
+
+  // The IV is derived from the payload so the same image gets the same URL (and stays browser-cacheable)
+  const plaintext = zlib.deflateRawSync(JSON.stringify(payload));
+  const iv = crypto.createHmac('sha256', signedImageKey).update(plaintext).digest().subarray(0, 12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', signedImageKey, iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return SIGNED_IMAGE_PREFIX + Buffer.concat([iv, cipher.getAuthTag(), ciphertext]).toString('base64url');
+}
+
+// Whether a URL can be the image behind a signed reference: a derivative on the album source's media
+// hosts (iCloud's CDN, or the stand-in server), never a generated file or another host
+function isSignableImageUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return false;
+  }
+  if (albumSource.name === 'icloud') {
+    return parsed.protocol === 'https:' && ICLOUD_MEDIA_HOST.test(parsed.hostname);
+  }
+  return ['http:', 'https:'].includes(parsed.protocol) && parsed.host === albumSource.host;
+}
+
+// Verify and decrypt a signed reference (expired ones included). Returns null if it was tampered with,
+// names a URL it can't (see isSignableImageUrl), or signed mode is off.
+function readSignedImageReference(reference) {
+  if (IMAGE_URL_MODE !== 'signed') {
+    return null;
+  }
+  try {
+    const data = Buffer.from(reference.slice(SIGNED_IMAGE_PREFIX.length), 'base64url');
+    if (data.length <= 28) {
+      return null;
+    }
+    const decipher = crypto.createDecipheriv('aes-256-gcm', signedImageKey, data.subarray(0, 12));
+    decipher.setAuthTag(data.subarray(12, 28));
+    const plaintext = Buffer.concat([decipher.update(data.subarray(28)), decipher.final()]);
+    const payload = JSON.parse(zlib.inflateRawSync(plaintext).toString('utf-8'));
+    if (typeof payload.u !== 'string' || !isSignableImageUrl(payload.u)) {
+      return null;
+    }
+    return {
+      id: signedImageId(payload.u, payload.w),
+      url: payload.u,
+      watermark: payload.w || null,
+      album: payload.a || null,
+      photoGuid: payload.g || null,
+      derivative: payload.d || null,
+      expiresAt: payload.e || null
+    };
+  } catch (error) {
+    return null;
+  }
+}
+
+// Mapping-shaped view of a signed reference (with any stored image details), or null if it's invalid or expired
+async function getSignedImageMapping(reference) {
+  const signed = readSignedImageReference(reference);
+  if (!signed || (signed.expiresAt && signed.expiresAt < Date.now())) {
+    return null;
+  }
+  const details = await findMapping(signed.id);
+  return {
+    ...(details && { source: details.source, placeholder: details.placeholder, exif: details.exif }),
+    ...signed,
+    signed: true
+  };
+}
+
+// ID that an image's cache entries and details are stored under: the secure ID itself, or the ID
+// derived from a signed reference
+function getImageCacheId(secureId) {
+  if (!isSignedImageReference(secureId)) {
+    return secureId;
+  }
+  const signed = readSignedImageReference(secureId);
+  return signed ? signed.id : secureId.slice(0, 32);
+}
+
+// IDs to put in image URLs for a batch of original URLs: signed references or stored secure IDs,
+// depending on IMAGE_URL_MODE (arguments as for storeImageUrls)
+async function getImageReferences(originalUrls, watermarkAlbum = null, origins = []) {
+  if (IMAGE_URL_MODE === 'signed') {
+    return originalUrls.map((url, i) => signImageReference(url, watermarkAlbum, origins[i] || null));
+  }
+  return storeImageUrls(originalUrls, watermarkAlbum, origins);
+}
+
+// ============================================
+// IMAGE PROCESSING POOL
+// ============================================
+// Fetching and encoding an original is CPU- and memory-heavy, so all image processing runs through
+// this pool: at most IMAGE_PROCESSING_CONCURRENCY jobs at once, taken from three priority classes
+// (first in, first out within a class):
+//   high   - Small variants (?w= up to IMAGE_SMALL_WIDTH) and requests the browser marks urgent
+//            (RFC 9218 `Priority: u=0` or `u=1`, e.g. on-screen images and the lightbox)
+//   normal - Other image requests
+//   low    - Prefetches and background work (placeholders, archive pins, exports)
+// Simultaneous jobs with the same key (secure ID plus variant) share one run, and a queued job is
+// promoted when a more urgent request for it arrives.
+
+const IMAGE_PROCESSING_CONCURRENCY = Math.max(1, parseInt(process.env.IMAGE_PROCESSING_CONCURRENCY || '2', 10));
+const IMAGE_SMALL_WIDTH = 640; // Pixels
+const IMAGE_PRIORITIES = ['high', 'normal', 'low'];
+const imageJobQueues = IMAGE_PRIORITIES.map(() => []);
+const imageJobs = new Map(); // job key -> job (queued or running)
+let runningImageJobs = 0;
+
+function processImageJobs() {
+  while (runningImageJobs < IMAGE_PROCESSING_CONCURRENCY) {
+    const queue = imageJobQueues.find(jobs => jobs.length > 0);
+    if (!queue) {
+      return;
+    }
+    const job = queue.shift();
+    job.running = true;
+    runningImageJobs++;
+    Promise.resolve()
+      .then(job.task)
+      .then(job.resolve, job.reject)
+      .finally(() => {
+        runningImageJobs--;
+        imageJobs.delete(job.key);
+        processImageJobs();
+      });
+  }
+}
+
+// Run `task` in the pool. Resolves (or rejects) with its result - shared with any job already pending
+// under the same key.
+function runImageJob(key, priority, task) {
+  const level = IMAGE_PRIORITIES.indexOf(priority);
+  const existing = imageJobs.get(key);
+  if (existing) {
+    if (!existing.running && level < existing.level) {
+      const queue = imageJobQueues[existing.level];
+      queue.splice(queue.indexOf(existing), 1);
+      existing.level = level;
+      imageJobQueues[level].push(existing);
+    }
+    return existing.promise;
+  }
+
+  const job = { key, level, task, running: false };
+  job.promise = new Promise((resolve, reject) => {
+    job.resolve = resolve;
+    job.reject = reject;
+  });
+  imageJobs.set(key, job);
+  imageJobQueues[level].push(job);
+  processImageJobs();
+  return job.promise;
+}
+
+// Priority class of an /api/image request
+function getImagePriority(req, width) {
+  const purpose = req.get('Sec-Purpose') || req.get('Purpose') || '';
+  if (purpose.includes('prefetch')) {
+    return 'low';
+  }
+  const urgency = (req.get('Priority') || '').match(/(?:^|,)\s*u=([0-7])/);
+  if ((width && width <= IMAGE_SMALL_WIDTH) || (urgency && parseInt(urgency[1], 10) <= 1)) {
+    return 'high';
+  }
+  return 'normal';
+}
+
+// ============================================
+// IMAGE DETAILS (PLACEHOLDERS AND EXIF)
+// ============================================
+// Each photo gets a tiny blurred JPEG preview (as a data URI, a few hundred bytes) that viewers can
+// paint while the real image loads, and the allowlisted EXIF fields as a structured object. Both are
+// computed once, the first time one of the photo's images is processed or pre-warmed, and stored in
+// that image's mapping. Album responses only read them.
+
+const PLACEHOLDER_SIZE = 16; // Longest side in pixels
+
+async function createPlaceholder(imageBuffer) {
+  const buffer = await sharp(imageBuffer)
+    .rotate()
+    .resize(PLACEHOLDER_SIZE, PLACEHOLDER_SIZE, { fit: 'inside' })
+    .jpeg({ quality: 40 })
+    .toBuffer();
+  return `data:image/jpeg;base64,${buffer.toString('base64')}`;
+}
+
+// Save an image's placeholder and EXIF (and `source`, the original's describeImageSource, which picks
+// the encoding of later requests) into its mapping (no-op if the mapping is gone or already has them).
+// Signed images have no mapping, so their details get a record of their own.
+const pendingImageDetails = new Set(); // IDs whose details are being computed
+
+async function storeImageDetails(secureId, imageBuffer, source = null) {
+  const id = getImageCacheId(secureId);
+  const signed = SIGNED_IMAGE_ID.test(id);
+  const mapping = await findMapping(id);
+  const needsSource = Boolean(source && !mapping?.source);
+  const needsDetails = !mapping?.placeholder || mapping.exif === undefined;
+  if ((!mapping && !signed) || (!needsSource && !needsDetails) || pendingImageDetails.has(id)) {
+    return;
+  }
+  pendingImageDetails.add(id);
+  try {
+    let placeholder = null;
+    let exif = null;
+    if (needsDetails) {
+      const metadata = await sharp(imageBuffer).metadata();
+      placeholder = await createPlaceholder(imageBuffer);
+      exif = readAllowedExif(metadata.exif);
+    }
+
+    // Write against the mapping as it is now: it may have been refreshed, expired or given its details
+    // by another instance while the image was read
+    const current = mappingIndex.get(id);
+    if (!current && !signed) {
+      return;
+    }
+    const record = { id };
+    if (needsSource && !current?.source) {
+      record.source = source;
+    }
+    if (needsDetails && (!current?.placeholder || current.exif === undefined)) {
+      record.placeholder = current?.placeholder || placeholder;
+      record.exif = exif;
+    }
+    if (!record.source && !record.placeholder) {
+      return;
+    }
+    if (!current) {
+      record.timestamp = Date.now();
+    }
+    await recordMappings([record]);
+  } finally {
+    pendingImageDetails.delete(id);
+  }
+}
+
+// { placeholder, exif } for an image as this instance knows it (other instances' records arrive with
+// the next log sync), or null if they haven't been computed yet
+function getImageDetails(secureId) {
+  const mapping = mappingIndex.get(getImageCacheId(secureId));
+  if (!mapping || !mapping.placeholder) {
+    return null;
+  }
+  return { placeholder: mapping.placeholder, exif: mapping.exif || null };
+}
+
+// ============================================
+// WATERMARKS
+// ============================================
+// Albums can set a `watermark` setting: a text or PNG logo overlay drawn onto their images in the
+// sharp pipeline. Watermarked albums get their own secure IDs (see storeImageUrl) and their renders
+// are cached under a variant of the image key, so un-watermarked albums are unaffected.
+//
+//   { "text": "© Jane Doe" }  or  { "image": "data:image/png;base64,..." }
+//   position - 'top-left', 'top-right', 'bottom-left', 'bottom-right' (default) or 'center'
+//   opacity  - 0-1 (default 0.5)
+//   scale    - Overlay width as a fraction of the image width, 0-1 (default 0.2)
+//   minSize  - Images whose longest side is below this many pixels are left unmarked (default WATERMARK_MIN_SIZE)
+
+const WATERMARK_MIN_SIZE = parseInt(process.env.WATERMARK_MIN_SIZE || '400', 10); // Pixels
+const WATERMARK_POSITIONS = ['top-left', 'top-right', 'bottom-left', 'bottom-right', 'center'];
+const WATERMARK_MAX_TEXT_LENGTH = 100;
+const WATERMARK_DEFAULTS = {
+  position: 'bottom-right',
+  opacity: 0.5,
+  scale: 0.2
+};
+
+function isValidWatermark(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return false;
+  }
+  const { text, image, position, opacity, scale, minSize, ...unknown } = value;
+  if (Object.keys(unknown).length > 0 || (text === undefined) === (image === undefined)) {
+    return false; // Exactly one of text or image
+  }
+  if (text !== undefined && (typeof text !== 'string' || !text.trim() || text.length > WATERMARK_MAX_TEXT_LENGTH)) {
+    return false;
+  }
+  if (image !== undefined && !(typeof image === 'string' && /^data:image\/png;base64,[A-Za-z0-9+/]+=*$/.test(image))) {
+    return false;
+  }
+  return (position === undefined || WATERMARK_POSITIONS.includes(position)) &&
+    (opacity === undefined || (typeof opacity === 'number' && opacity > 0 && opacity <= 1)) &&
+    (scale === undefined || (typeof scale === 'number' && scale > 0 && scale <= 1)) &&
+    (minSize === undefined || (Number.isInteger(minSize) && minSize >= 0));
+}
+
+// An album's watermark with defaults applied and its cache `variant`, or null if it has none
+async function getAlbumWatermark(decryptedToken) {
+  const settings = await getAlbumSettings(decryptedToken);
+  if (!settings.watermark) {
+    return null;
+  }
+  const watermark = { ...WATERMARK_DEFAULTS, minSize: WATERMARK_MIN_SIZE, ...settings.watermark };
+  const hash = crypto.createHash('sha256').update(stableStringify(watermark)).digest('hex').substring(0, 8);
+  return { ...watermark, variant: `wm${hash}` };
+}
+
+// The watermark for a secure ID's mapping (null for images of un-watermarked albums). IDs issued
+// before their album got a watermark are recognised by their origin album and watermarked too.
+async function getImageWatermark(mapping) {
+  const album = mapping && (mapping.watermark || mapping.album);
+  return album ? getAlbumWatermark(album) : null;
+}
+
+// Record the origin of un-watermarked mappings of an album's cached URLs that were stored without one
+// (before origins were recorded), so getImageWatermark finds the album's new watermark for them
+async function recordAlbumOrigins(decryptedToken) {
+  const cached = await getCachedData(decryptedToken);
+  const records = [];
+  (cached?.data?.photos || []).forEach(photo => {
+    if (!photo || !photo.photoGuid) {
+      return;
+    }
+    Object.entries(photo.derivatives || {}).forEach(([size, derivative]) => {
+      if (!derivative || typeof derivative.url !== 'string') {
+        return;
+      }
+      const secureId = mappingIdsByUrl.get(mappingUrlKey(derivative.url, null));
+      const mapping = secureId && mappingIndex.get(secureId);
+      if (mapping && !mapping.album) {
+        records.push({ id: secureId, album: decryptedToken, photoGuid: photo.photoGuid, derivative: size });
+      }
+    });
+  });
+  if (records.length > 0) {
+    await recordMappings(records);
+  }
+  return records.length;
+}
+
+function escapeXml(text) {
+  return text.replace(/[<>&'"]/g, char => `&#${char.charCodeAt(0)};`);
+}
+
+// Render the overlay as a PNG at most maxWidth x maxHeight, with the watermark's opacity applied
+async function renderWatermark(watermark, maxWidth, maxHeight) {
+  const width = Math.max(1, Math.round(maxWidth * watermark.scale));
+
+  if (watermark.text) {
+    // Size the font so the text roughly fills the overlay width
+    const fontSize = Math.max(8, Math.min(maxHeight, Math.round(width / (watermark.text.length * 0.75))));
+    const height = Math.min(maxHeight, Math.round(fontSize * 1.4));
+    const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">` +
+      `<text x="50%" y="50%" text-anchor="middle" dominant-baseline="central" font-family="sans-serif" ` +
+      `font-weight="bold" font-size="${fontSize}" fill="#fff" fill-opacity="${watermark.opacity}" ` +
+      `stroke="#000" stroke-opacity="${watermark.opacity / 2}" stroke-width="${Math.max(1, fontSize / 24)}">` +
+      `${escapeXml(watermark.text)}</text></svg>`;
+    return sharp(Buffer.from(svg)).png().toBuffer({ resolveWithObject: true });
+  }
+
+  const logo = Buffer.from(watermark.image.slice(watermark.image.indexOf(',') + 1), 'base64');
+  return sharp(logo)
+    .resize(width, maxHeight, { fit: 'inside' })
+    .ensureAlpha()
+    // Multiply the logo's alpha channel by the opacity
+    .composite([{
+      input: Buffer.from([255, 255, 255, Math.round(255 * watermark.opacity)]),
+      raw: { width: 1, height: 1, channels: 4 },
+      tile: true,
+      blend: 'dest-in'
+    }])
+    .png()
+    .toBuffer({ resolveWithObject: true });
+}
+
+// Draw a watermark onto a sharp pipeline (already rotated and resized). Returns a new pipeline over the
+// rendered pixels, since the overlay's size and placement depend on the final dimensions.
+async function applyWatermark(image, watermark) {
+  const { data, info } = await image.raw().toBuffer({ resolveWithObject: true });
+  const base = sharp(data, { raw: { width: info.width, height: info.height, channels: info.channels } });
+  if (Math.max(info.width, info.height) < watermark.minSize) {
+    return base; // Small thumbnails stay unmarked
+  }
+
+  const margin = Math.round(Math.min(info.width, info.height) * 0.02);
+  const overlay = await renderWatermark(watermark, Math.max(1, info.width - margin * 2), Math.max(1, info.height - margin * 2));
+  const [vertical, horizontal] = watermark.position === 'center' ? ['center', 'center'] : watermark.position.split('-');
+  const offset = (placement, size, overlaySize) => {
+    if (placement === 'center') {
+      return Math.round((size - overlaySize) / 2);
+    }
+    return placement === 'top' || placement === 'left' ? margin : size - overlaySize - margin;
+  };
+
+  return base.composite([{
+    input: overlay.data,
+    left: offset(horizontal, info.width, overlay.info.width),
+    top: offset(vertical, info.height, overlay.info.height)
+  }]);
+}
+
+// ============================================
+// CACHE CLEANUP AND SIZE BUDGET
+// ============================================
+// Every hour, mappings, images and videos that haven't been used within their TTLs are removed.
+// With CACHE_MAX_BYTES set, the budgeted caches (plus stale files in TMP_DIR) are also kept under that
+// total size: once over budget, the least recently accessed entries are evicted until it fits.
+// Media pinned in an album archive and everything belonging to albums with the 'pinned' refresh
+// policy are never evicted. The latest run's report (what was evicted and why) is kept in the
+// registry namespace and served at GET /api/cache/eviction-report.
+
+const CACHE_MAX_BYTES = parseInt(process.env.CACHE_MAX_BYTES || '0', 10); // 0 = no budget
+const CACHE_CLEANUP_INTERVAL = parseInt(process.env.CACHE_CLEANUP_INTERVAL || String(60 * 60 * 1000), 10);
+const CACHE_BUDGET_CHECK_INTERVAL = 10 * 60 * 1000; // Budget is also checked between cleanups
+const EVICTION_REPORT_KEY = 'eviction-report.json';
+
+let pendingCacheCleanup = null;
+
+// Cache keys, secure IDs and token prefixes that eviction must keep
+async function getProtectedCacheEntries() {
+  const mediaKeys = await getPinnedMediaKeys();
+  const secureIds = new Set([...mediaKeys].map(key => key.split('.')[0]));
+  const albumTokens = [];
+
+  for (const info of recentlyAccessedTokens.values()) {
+    if (info.policy !== 'pinned') {
+      continue;
+    }
+    albumTokens.push(info.decryptedToken);
+    const cached = await getCachedData(info.decryptedToken);
+    (cached?.data?.photos || []).forEach(photo => {
+      Object.values((photo && photo.derivatives) || {}).forEach(derivative => {
+        if (!derivative || typeof derivative.url !== 'string') {
+          return;
+        }
+        // Either ID may be in use, depending on whether the album is watermarked (or served signed URLs)
+        [null, info.decryptedToken].forEach(watermarkAlbum => {
+          const secureId = mappingIdsByUrl.get(mappingUrlKey(derivative.url, watermarkAlbum));
+          if (secureId) {
+            secureIds.add(secureId);
+          }
+          secureIds.add(signedImageId(derivative.url, watermarkAlbum));
+        });
+      });
+    });
+  }
+
+  return { mediaKeys, secureIds, albumTokens };
+}
+
+function isProtectedCacheEntry(namespace, key, protectedEntries) {
+  switch (namespace) {
+    case 'images':
+    case 'videos':
+      return protectedEntries.secureIds.has(key.split('.')[0]);
+    case 'icons':
+      return protectedEntries.albumTokens.some(token => key === `${sanitizeToken(token)}.png`);
+    case 'video-augmentations':
+      return protectedEntries.albumTokens.some(token => key.startsWith(`${token}_`));
+    case 'video-previews':
+      return protectedEntries.albumTokens.some(token => key.startsWith(`${sanitizeToken(token)}_`));
+    default:
+      return false;
+  }
+}
+
+// Listing and evicting budgeted entries lives in cache-budget.js
+const { enforceCacheBudget } = createCacheBudget({
+  storage,
+  tmpDir: TMP_DIR,
+  maxBytes: CACHE_MAX_BYTES,
+  isProtected: isProtectedCacheEntry
+});
+
+// Remove expired mappings, images and videos, then enforce the size budget (with budgetOnly, just the budget)
+async function runCacheCleanup({ budgetOnly = false } = {}) {
+  if (pendingCacheCleanup) {
+    return pendingCacheCleanup; // Budget checks and hourly cleanups don't overlap
+  }
+  pendingCacheCleanup = cleanupCache(budgetOnly).finally(() => {
+    pendingCacheCleanup = null;
+  });
+  return pendingCacheCleanup;
+}
+
+async function cleanupCache(budgetOnly) {
+  const now = Date.now();
+  const report = {
+    startedAt: now,
+    finishedAt: null,
+    trigger: budgetOnly ? 'budget-check' : 'cleanup',
+    evictedCount: 0,
+    evictedBytes: 0,
+    evicted: [],
+    budget: null
+  };
+  const protectedEntries = await getProtectedCacheEntries();
+
+  if (!budgetOnly) {
+    // 1. Clean up old mappings (metadata)
+    // We only delete the mapping entry, NOT the image associated with it.
+    // This allows images to persist even if their original mapping expires,
+    // which helps in cases where the mapping is regenerated later.
+    try {
+      await syncMappingLog();
+      const expired = [];
+      mappingIndex.forEach((mapping, id) => {
+        if (now - mapping.timestamp > getMappingRetention(mapping)) {
+          expired.push({ id, deleted: true });
+        }
+      });
+      if (expired.length > 0) {
+        await recordMappings(expired);
+      }
+      await compactMappingLog();
+    } catch (err) {
+      console.error('Error cleaning up image mappings:', err);
+    }
+
+    // 2. Clean up old images based on access time (LRU-style)
+    // This cleans up images that haven't been accessed in a long time (30 days),
+    // regardless of whether they have a valid mapping or not.
+    // Images of photos pinned in an album archive are kept.
+    const imageKeys = await storage.list('images');
+    for (const key of imageKeys) {
+      // Only process image files (skip .DS_Store etc). Every encoding and width of a pinned image is kept.
+      const pinned = protectedEntries.mediaKeys.has(`${key.split('.')[0]}.jpg`);
+      if (key.match(/\.(jpg|jpeg|png|gif|webp|avif)$/i) && !pinned) {
+        try {
+          const stats = await storage.stat('images', key);
+          if (!stats) {
+            continue;
+          }
+          // Check access time (atime) or modification time (mtime)
+          // We use whichever is more recent to be safe
+          const lastAccess = Math.max(stats.atimeMs, stats.mtimeMs);
+
+          if (now - lastAccess > IMAGE_RETENTION_TTL) {
+            await storage.delete('images', key);
+            recordEviction(report, { namespace: 'images', key, size: stats.size, lastAccess }, 'expired');
+            console.log(`Cleaned up old image: ${key} (last accessed ${Math.round((now - lastAccess) / (1000 * 60 * 60 * 24))} days ago)`);
+          }
+        } catch (err) {
+          // Ignore errors
+        }
+      }
+    }
+
+    // 3. Clean up cached videos not accessed within VIDEO_RETENTION_TTL (pinned videos are kept)
+    const videoKeys = await storage.list('videos');
+    for (const key of videoKeys) {
+      if (!key.endsWith('.mp4') || protectedEntries.mediaKeys.has(key)) {
+        continue;
+      }
+      try {
+        const stats = await storage.stat('videos', key);
+        const lastAccess = stats ? Math.max(stats.atimeMs, stats.mtimeMs) : now;
+        if (stats && now - lastAccess > VIDEO_RETENTION_TTL) {
+          await storage.delete('videos', key);
+          recordEviction(report, { namespace: 'videos', key, size: stats.size, lastAccess }, 'expired');
+          console.log(`Cleaned up old video: ${key}`);
+        }
+      } catch (err) {
+        // Ignore errors
+      }
+    }
+
+    // 4. Clean up video previews (status, poster and clip together) not used within VIDEO_RETENTION_TTL
+    // Previews of pinned albums are kept.
+    const previews = new Map(); // base key -> [{ key, stats }]
+    for (const key of await storage.list('video-previews')) {
+      const stats = await storage.stat('video-previews', key).catch(() => null);
+      if (!stats || isProtectedCacheEntry('video-previews', key, protectedEntries)) {
+        continue;
+      }
+      const baseKey = key.replace(/\.(json|poster\.jpg|preview\.mp4)$/, '');
+      previews.set(baseKey, [...(previews.get(baseKey) || []), { key, stats }]);
+    }
+    for (const [baseKey, entries] of previews) {
+      const lastAccess = Math.max(...entries.map(({ stats }) => Math.max(stats.atimeMs, stats.mtimeMs)));
+      if (now - lastAccess <= VIDEO_RETENTION_TTL) {
+        continue;
+      }
+      for (const { key, stats } of entries) {
+        try {
+          await storage.delete('video-previews', key);
+          recordEviction(report, { namespace: 'video-previews', key, size: stats.size, lastAccess }, 'expired');
+        } catch (err) {
+          // Ignore errors
+        }
+      }
+      console.log(`Cleaned up old video preview: ${baseKey}`);
+    }
+  }
+
+  // 5. Keep the budgeted caches under CACHE_MAX_BYTES
+  if (CACHE_MAX_BYTES > 0) {
+    try {
+      await enforceCacheBudget(protectedEntries, report);
+    } catch (error) {
+      console.error('Error enforcing cache budget:', error);
+    }
+  }
+
+  report.finishedAt = Date.now();
+  if (report.evictedCount > 0) {
+    console.log(`Cache cleanup evicted ${report.evictedCount} entr${report.evictedCount === 1 ? 'y' : 'ies'} (${report.evictedBytes} bytes)`);
+  }
+  // Budget checks that found nothing to do don't replace the last report
+  if (!budgetOnly || report.evictedCount > 0) {
+    await writeCacheJSON('registry', EVICTION_REPORT_KEY, report);
+  }
+  return report;
+}
+
+// Cleanup old mappings and images periodically
+setInterval(() => {
+  runCacheCleanup().catch(error => {
+    console.error('Error during cache cleanup:', error);
+  });
+}, CACHE_CLEANUP_INTERVAL);
+
+if (CACHE_MAX_BYTES > 0) {
+  setInterval(() => {
+    runCacheCleanup({ budgetOnly: true }).catch(error => {
+      console.error('Error checking cache budget:', error);
+    });
+  }, CACHE_BUDGET_CHECK_INTERVAL);
+}
+
+// Route to see the latest cache cleanup: what was evicted and why, and the budget usage (admin)
+app.get('/api/cache/eviction-report', requireAdmin, async (req, res) => {
+  try {
+    const report = await readCacheJSON('registry', EVICTION_REPORT_KEY);
+    if (!report) {
+      return res.status(404).json({ error: 'The cache has not been cleaned up yet' });
+    }
+    res.json({ maxBytes: CACHE_MAX_BYTES || null, ...report });
+  } catch (error) {
+    console.error('Error reading eviction report:', error);
+    res.status(500).json({ error: 'Failed to read eviction report', message: error.message });
+  }
+});
+
+// Fetch an original image: from iCloud (retried and circuit-broken by the upstream client), or from
+// the cache for images generated here (`generated:` URLs, e.g. video poster frames).
+// Concurrent fetches of the same original (e.g. several widths of one photo) share one download.
+const pendingOriginalFetches = new Map(); // url -> Promise<Buffer>
+
+function fetchOriginalImage(imageUrl) {
+  if (!pendingOriginalFetches.has(imageUrl)) {
+    pendingOriginalFetches.set(imageUrl, downloadOriginalImage(imageUrl).finally(() => {
+      pendingOriginalFetches.delete(imageUrl);
+    }));
+  }
+  return pendingOriginalFetches.get(imageUrl);
+}
+
+async function downloadOriginalImage(imageUrl) {
+  if (isGeneratedUrl(imageUrl)) {
+    const generated = parseGeneratedUrl(imageUrl);
+    const buffer = generated && await storage.get(generated.namespace, generated.key);
+    if (!buffer) {
+      throw new Error(`Generated image not found: ${imageUrl}`);
+    }
+    return buffer;
+  }
+
+  const response = await upstreamFetch(imageUrl);
+  if (!response.ok) {
+    const error = new Error(`Failed to fetch image: ${response.status} ${response.statusText}`);
+    error.upstreamStatus = response.status;
+    throw error;
+  }
+  return Buffer.from(await response.arrayBuffer());
+}
+
+// Helper function to strip EXIF location data and optimize image
+// Metadata follows the EXIF_ALLOWLIST policy (GPS and serial numbers are never kept)
+// The output encoding is chosen by chooseImageFormat from the original and `acceptHeader` (null for
+// baseline encodings only: JPEG, or PNG/GIF for transparency and animation). HEIC originals are decoded.
+// `targetWidth` (optional, from IMAGE_WIDTHS) scales the image down to that width
+// `watermark` (optional, from getAlbumWatermark) is drawn over the result
+// Resolves to { buffer, format, source }
+async function stripExifLocation(imageUrl, acceptHeader = null, targetWidth = null, watermark = null) {
+  const imageBuffer = await fetchOriginalImage(imageUrl);
+
+  let source = null;
+  let format = negotiateImageFormat(acceptHeader);
+  try {
+    // Load image and get metadata
+    const metadata = await sharp(imageBuffer).metadata();
+    const keptExif = readAllowedExif(metadata.exif);
+    source = describeImageSource(metadata);
+    format = chooseImageFormat(source, acceptHeader, watermark);
+    const animated = source.animated && !watermark;
+
+    let image;
+    if (needsHeicDecode(metadata)) {
+      // Decoded pixels already have the HEIC's rotation applied
+      const decoded = await decodeHeic({ buffer: imageBuffer });
+      image = sharp(Buffer.from(decoded.data.buffer, decoded.data.byteOffset, decoded.data.byteLength), {
+        raw: { width: decoded.width, height: decoded.height, channels: 4 }
+      });
+    } else {
+      image = sharp(imageBuffer, { animated });
+    }
+
+    // Calculate resize dimensions (maintain aspect ratio)
+    let width = metadata.width;
+    let height = metadata.pageHeight || metadata.height; // Frame height for animations
+    const needsResize = width > MAX_IMAGE_WIDTH || height > MAX_IMAGE_HEIGHT;
+
+    if (needsResize) {
+      // Resize to fit within max dimensions while maintaining aspect ratio
+      if (width > height) {
+        if (width > MAX_IMAGE_WIDTH) {
+          height = Math.round((height * MAX_IMAGE_WIDTH) / width);
+          width = MAX_IMAGE_WIDTH;
+        }
+      } else {
+        if (height > MAX_IMAGE_HEIGHT) {
+          width = Math.round((width * MAX_IMAGE_HEIGHT) / height);
+          height = MAX_IMAGE_HEIGHT;
+        }
+      }
+    }
+
+    // A requested width scales further down (never up), so srcset descriptors match what's delivered
+    if (targetWidth && targetWidth < width) {
+      height = Math.round((height * targetWidth) / width);
+      width = targetWidth;
+    }
+
+    // Process image: rotate, resize, strip EXIF GPS, and optimize
+    if (!animated) {
+      image = image.rotate(); // Auto-rotate based on EXIF
+    }
+    image = image.resize(width, height, {
+      fit: 'inside',
+      withoutEnlargement: true // Don't upscale smaller images
+    });
+
+    if (watermark) {
+      image = await applyWatermark(image, watermark);
+    }
+
+    if (format === 'avif') {
+      image = image.avif({ quality: AVIF_QUALITY });
+    } else if (format === 'webp') {
+      image = image.webp({ quality: WEBP_QUALITY }); // Keeps animation and alpha
+    } else if (format === 'gif') {
+      image = image.gif();
+    } else if (format === 'png') {
+      image = image.png({ compressionLevel: 9 });
+    } else {
+      image = image.jpeg({
+        quality: IMAGE_QUALITY,
+        mozjpeg: true, // Use mozjpeg for better compression
+        progressive: true // Progressive JPEG for better perceived performance
+      });
+    }
+
+    // Re-encoding drops all metadata; write back only the allowlisted fields
+    if (keptExif && format !== 'gif') {
+      image = image.withExif(toExifTags(keptExif));
+    }
+
+    const processedBuffer = await image.toBuffer();
+
+    return { buffer: processedBuffer, format, source };
+  } catch (error) {
+    console.error('Error processing image:', error);
+    if (MODERN_IMAGE_FORMATS.includes(format)) {
+      // Re-encoding with a baseline encoding may still work
+      throw new Error(`IMAGE_ENCODING_FAILED: ${format}: ${error.message}`);
+    }
+    if (watermark) {
+      // The original would be served without its watermark
+      throw new Error(`WATERMARK_FAILED: ${error.message}`);
+    }
+    // The original still carries its location and serial numbers, so it's never served as-is
+    throw new Error(`IMAGE_PROCESSING_FAILED: ${error.message}`);
+  }
+}
+
+// Process an original into the image cache: the variant for `acceptHeader`, `width` and `watermark`
+// (see stripExifLocation), falling back to a baseline encoding if a modern encoder fails.
+// Resolves to stripExifLocation's { buffer, format, source }. Run it as a pool job.
+async function processImageVariant(secureId, originalUrl, acceptHeader = null, width = null, watermark = null) {
+  let result;
+  try {
+    result = await stripExifLocation(originalUrl, acceptHeader, width, watermark);
+  } catch (error) {
+    if (!error.message.startsWith('IMAGE_ENCODING_FAILED')) {
+      throw error;
+    }
+    // The modern encoder choked on this image - everyone can decode the baseline encodings
+    console.warn(`Falling back to a baseline encoding for ${secureId}:`, error.message);
+    result = await stripExifLocation(originalUrl, null, width, watermark);
+  }
+
+  // The original decides the encoding the first time it's seen (e.g. PNG to keep transparency)
+  await storage.set('images', imageCacheKey(secureId, result.format, width, watermark ? watermark.variant : null), result.buffer);
+
+  // First time this image is processed - keep its placeholder, EXIF and source format for album
+  // responses and later requests (fire and forget)
+  storeImageDetails(secureId, result.buffer, result.source).catch(err => {
+    console.error('Error storing image details:', err);
+  });
+  return result;
+}
+
+// Route to proxy images with EXIF stripping (using secure ID with .jpg extension)
+// The encoding is negotiated on the Accept header (AVIF/WebP where supported, JPEG otherwise) and the
+// original (PNG for transparency, animated WebP/GIF for animations - see chooseImageFormat), and
+// ?w=<width> (one of IMAGE_WIDTHS) returns a resized variant; each variant is cached separately.
+// Images of watermarked albums are rendered (and cached) with the album's current watermark.
+// The other encodings' extensions are accepted as aliases (the response is the same), and
+// Content-Disposition names the file with the extension of what is actually served.
+const IMAGE_EXTENSIONS = new Set(Object.values(IMAGE_ENCODINGS).map(encoding => encoding.extension));
+
+app.get('/api/image/:secureId.:extension', async (req, res) => {
+  try {
+    const { secureId, extension } = req.params;
+
+    if (!secureId) {
       return res.status(400).json({ error: 'Image ID is required' });
     }
+    if (!IMAGE_EXTENSIONS.has(extension)) {
+      return res.status(404).json({ error: 'Image not found or expired' });
+    }
+
+    let width = null;
+    if (req.query.w !== undefined) {
+      width = parseInt(req.query.w, 10);
+      if (!IMAGE_WIDTHS.includes(width)) {
+        return res.status(400).json({ error: 'Unsupported width', allowedWidths: IMAGE_WIDTHS });
+      }
+    }
+
+    let mapping = await getImageMapping(secureId, { includeExpired: true });
+    // Expired or tampered signed references are refused outright - their cached images included
+    if (!mapping && isSignedImageReference(secureId)) {
+      return res.status(404).json({ error: 'Image not found or expired' });
+    }
+    const watermark = await getImageWatermark(mapping);
+    const variant = watermark ? watermark.variant : null;
+
+    // Until the original has been seen once, assume it has neither transparency nor animation
+    let format = chooseImageFormat(mapping ? mapping.source : null, req.get('Accept'), watermark);
+    let imageKey = imageCacheKey(secureId, format, width, variant);
+
+    // The response depends on the Accept header, so shared caches must key on it
+    res.set('Vary', 'Accept');
+
+    const setImageTypeHeaders = (encoding) => {
+      res.set('Content-Type', IMAGE_ENCODINGS[encoding].contentType);
+      res.set('Content-Disposition', `inline; filename="${getImageCacheId(secureId)}.${IMAGE_ENCODINGS[encoding].extension}"`);
+    };
 
-    const imageFile = path.join(IMAGES_CACHE_DIR, `${secureId}.jpg`);
+    // Update access time for LRU cleanup (fire and forget)
+    const touchCachedImage = (key = imageKey) => {
+      storage.touch('images', key).catch(err => {
+        console.error('Error updating image access time:', err);
+      });
+    };
 
     // Check if cached image exists
-    let cachedImageExists = false;
-    let cachedStats = null;
-    try {
-      cachedStats = await fs.stat(imageFile);
-      cachedImageExists = true;
+    const cachedStats = await storage.stat('images', imageKey);
+    if (cachedStats) {
       const age = Date.now() - cachedStats.mtimeMs;
 
       // If cached image is fresh, serve it directly
       if (age < CACHE_TTL) {
-        // Generate ETag
-        const etag = `"${secureId}-${cachedStats.mtimeMs}"`;
+        // Generate ETag (the cache key includes the encoding)
+        const etag = `"${imageKey}-${cachedStats.mtimeMs}"`;
         res.set('ETag', etag);
-        res.set('Last-Modified', cachedStats.mtime.toUTCString());
+        res.set('Last-Modified', new Date(cachedStats.mtimeMs).toUTCString());
 
         // Check if client has cached version (If-None-Match header)
         const ifNoneMatch = req.get('If-None-Match');
@@ -693,122 +2827,128 @@ app.get('/api/image/:secureId.jpg', async (req, res) => {
           res.removeHeader('Pragma');
           res.removeHeader('Expires');
           res.set('Cache-Control', 'public, max-age=31536000, immutable');
+          recordCacheLookup('images', true);
           return res.status(304).end();
         }
 
         // Serve cached image with proper cache headers
-        const imageBuffer = await fs.readFile(imageFile);
-        // Remove any default no-cache headers Express might set
-        res.removeHeader('Cache-Control');
-        res.removeHeader('Pragma');
-        res.removeHeader('Expires');
-        // Set proper cache headers
-        res.set('Content-Type', 'image/jpeg');
-        res.set('Cache-Control', 'public, max-age=31536000, immutable'); // Cache for 1 year
-
-        // Update access time for LRU cleanup (fire and forget)
-        const now = new Date();
-        fs.utimes(imageFile, now, now).catch(err => {
-          console.error('Error updating image access time:', err);
-        });
+        const imageBuffer = await storage.get('images', imageKey);
+        if (imageBuffer) {
+          // Remove any default no-cache headers Express might set
+          res.removeHeader('Cache-Control');
+          res.removeHeader('Pragma');
+          res.removeHeader('Expires');
+          // Set proper cache headers
+          setImageTypeHeaders(format);
+          res.set('Cache-Control', 'public, max-age=31536000, immutable'); // Cache for 1 year
+
+          touchCachedImage();
+          recordCacheLookup('images', true);
 
-        return res.send(imageBuffer);
+          return res.send(imageBuffer);
+        }
       }
       // If cached image exists but is stale, we'll try to refresh it below
       // but will fall back to serving stale cache if refresh fails
-    } catch (error) {
-      // File doesn't exist or can't be read, continue to fetch
-      cachedImageExists = false;
     }
 
-    // Look up original URL from secure ID
-    const originalUrl = await getImageUrl(secureId);
-    if (!originalUrl) {
-      // Check if we have a cached image file even if mapping is expired
-      if (cachedImageExists && cachedStats) {
-        try {
-          const cachedBuffer = await fs.readFile(imageFile);
-          console.log(`Serving expired mapping for ${secureId}, but cached image exists`);
-          // Remove any default no-cache headers Express might set
-          res.removeHeader('Cache-Control');
-          res.removeHeader('Pragma');
-          res.removeHeader('Expires');
-          res.set('Content-Type', 'image/jpeg');
-          res.set('Cache-Control', 'public, max-age=31536000, immutable');
-          res.set('ETag', `"${secureId}-${cachedStats.mtimeMs}"`);
-          res.set('Last-Modified', cachedStats.mtime.toUTCString());
+    recordCacheLookup('images', false);
+
+    // Serve the cached image regardless of age (used when the original can't be fetched).
+    // Falls back to any cached baseline encoding (JPEG, PNG or GIF) when this one was never produced.
+    const serveCachedImage = async (logMessage) => {
+      const candidates = [...new Set([format, 'jpeg', 'png', 'gif'])];
+      for (const candidate of candidates) {
+        const key = imageCacheKey(secureId, candidate, width, variant);
+        const stats = await storage.stat('images', key).catch(() => null);
+        const cachedBuffer = stats && await storage.get('images', key).catch(() => null);
+        if (!cachedBuffer) {
+          continue;
+        }
+        console.log(logMessage);
+        // Remove any default no-cache headers Express might set
+        res.removeHeader('Cache-Control');
+        res.removeHeader('Pragma');
+        res.removeHeader('Expires');
+        setImageTypeHeaders(candidate);
+        res.set('Cache-Control', 'public, max-age=31536000, immutable');
+        res.set('ETag', `"${key}-${stats.mtimeMs}"`);
+        res.set('Last-Modified', new Date(stats.mtimeMs).toUTCString());
 
-          // Update access time for LRU cleanup (fire and forget)
-          const now = new Date();
-          fs.utimes(imageFile, now, now).catch(err => {
-            console.error('Error updating image access time:', err);
-          });
+        touchCachedImage(key);
 
-          return res.send(cachedBuffer);
-        } catch (error) {
-          // Error reading cached file, return 404
-          return res.status(404).json({ error: 'Image not found or expired' });
-        }
+        res.send(cachedBuffer);
+        return true;
+      }
+      return false;
+    };
+
+    // Original URL from the secure ID's mapping
+    if (!mapping || mapping.expired) {
+      // Check if we have a cached image even if mapping is expired
+      if (await serveCachedImage(`Serving expired mapping for ${secureId}, but cached image exists`)) {
+        return;
+      }
+      // Expired mappings that remember their album derivative get its current URL
+      mapping = mapping && await reresolveImageMapping(secureId, mapping);
+      if (!mapping) {
+        // No cached image either, return 404
+        return res.status(404).json({ error: 'Image not found or expired' });
       }
-      // No cached file either, return 404
-      return res.status(404).json({ error: 'Image not found or expired' });
     }
 
-    // Strip EXIF and cache to disk
-    let cleanedBuffer;
+    // Strip EXIF and cache (in the processing pool - simultaneous requests for this variant share the job)
+    const acceptHeader = req.get('Accept');
+    const processOriginal = originalUrl => runImageJob(imageKey, getImagePriority(req, width), () =>
+      processImageVariant(secureId, originalUrl, acceptHeader, width, watermark));
+    let processed;
     try {
-      cleanedBuffer = await stripExifLocation(originalUrl);
+      try {
+        processed = await processOriginal(mapping.url);
+      } catch (error) {
+        // The stored URL was rejected before its mapping expired - retry once with the album's current URL
+        const reresolved = isExpiredUrlError(error) ? await reresolveImageMapping(secureId, mapping) : null;
+        if (!reresolved) {
+          throw error;
+        }
+        processed = await processOriginal(reresolved.url);
+      }
     } catch (error) {
       // If fetching fails (e.g., URL expired), try to serve cached image if available
       console.error(`Failed to fetch image from iCloud for ${secureId}, trying cached version:`, error.message);
-      if (cachedImageExists && cachedStats) {
-        try {
-          const cachedBuffer = await fs.readFile(imageFile);
-          console.log(`Serving cached image for ${secureId} due to fetch error`);
-          // Remove any default no-cache headers Express might set
-          res.removeHeader('Cache-Control');
-          res.removeHeader('Pragma');
-          res.removeHeader('Expires');
-          res.set('Content-Type', 'image/jpeg');
-          res.set('Cache-Control', 'public, max-age=31536000, immutable');
-          res.set('ETag', `"${secureId}-${cachedStats.mtimeMs}"`);
-          res.set('Last-Modified', cachedStats.mtime.toUTCString());
-
-          // Update access time for LRU cleanup (fire and forget)
-          const now = new Date();
-          fs.utimes(imageFile, now, now).catch(err => {
-            console.error('Error updating image access time:', err);
-          });
-
-          return res.send(cachedBuffer);
-        } catch (cacheError) {
-          // Error reading cached file, continue to throw original error
-        }
+      if (isUpstreamUnavailable(error)) {
+        res.set('X-Upstream-Status', 'unavailable');
       }
-      // No cached file or error reading it, return error
+      if (await serveCachedImage(`Serving cached image for ${secureId} due to fetch error`)) {
+        return;
+      }
+      if (isUpstreamUnavailable(error)) {
+        res.set('Retry-After', String(Math.max(1, Math.ceil((error.retryAt - Date.now()) / 1000))));
+        return res.status(503).json({
+          error: 'Upstream unavailable',
+          message: 'iCloud is currently unavailable and this image is not cached'
+        });
+      }
+      // No cached image or error reading it, return error
       throw error; // Throw original fetch error
     }
 
-    await fs.writeFile(imageFile, cleanedBuffer);
+    const cleanedBuffer = processed.buffer;
+    format = processed.format;
+    imageKey = imageCacheKey(secureId, format, width, variant);
 
     // Remove any default no-cache headers Express might set
     res.removeHeader('Cache-Control');
     res.removeHeader('Pragma');
     res.removeHeader('Expires');
     // Set cache headers for newly processed image
-    res.set('Content-Type', 'image/jpeg');
+    setImageTypeHeaders(format);
     res.set('Cache-Control', 'public, max-age=31536000, immutable'); // Cache for 1 year
-    const stats = await fs.stat(imageFile);
-    res.set('ETag', `"${secureId}-${stats.mtimeMs}"`);
-    res.set('Last-Modified', stats.mtime.toUTCString());
+    const stats = await storage.stat('images', imageKey);
+    const mtimeMs = stats ? stats.mtimeMs : Date.now();
+    res.set('ETag', `"${imageKey}-${mtimeMs}"`);
+    res.set('Last-Modified', new Date(mtimeMs).toUTCString());
     res.send(cleanedBuffer);
-
-    // Update access time for LRU cleanup (fire and forget)
-    // We update both atime and mtime to now
-    const now = new Date();
-    fs.utimes(imageFile, now, now).catch(err => {
-      console.error('Error updating image access time:', err);
-    });
   } catch (error) {
     console.error('Error proxying image:', error);
     res.status(500).json({
@@ -816,7 +2956,542 @@ app.get('/api/image/:secureId.jpg', async (req, res) => {
       message: error.message
     });
   }
-});
+});
+
+// ============================================
+// CACHE PRE-WARMING
+// ============================================
+// With CACHE_PREWARM=true, every album fetched from iCloud has its images processed in the background
+// (as low priority pool jobs), so visitors don't pay for each fetch and encode. Every image derivative
+// (photos and video thumbnails) is warmed at full size in the encoding a modern browser negotiates;
+// images that are already cached count as ready straight away (getting their placeholder and EXIF from
+// the cached image if they have none yet). Images are looked up and queued a few
+// at a time (PREWARM_CONCURRENCY), so a large album doesn't flood storage or the pool's queue.
+
+const CACHE_PREWARM = process.env.CACHE_PREWARM === 'true';
+const PREWARM_CONCURRENCY = IMAGE_PROCESSING_CONCURRENCY;
+const PREWARM_ACCEPT = IMAGE_FORMATS.map(format => IMAGE_ENCODINGS[format].contentType).join(', ');
+const prewarmProgress = new Map(); // decryptedToken -> progress of the album's latest pre-warm
+
+// Image derivative URLs of an album as stored (videos are proxied unprocessed, so they're skipped)
+function getAlbumImageUrls(data) {
+  const urls = new Set();
+  (data.photos || []).forEach(photo => {
+    Object.values((photo && photo.derivatives) || {}).forEach(derivative => {
+      if (derivative && typeof derivative.url === 'string' && !derivative.url.startsWith('/api/') &&
+        !derivative.url.toLowerCase().includes('.mp4')) {
+        urls.add(derivative.url);
+      }
+    });
+  });
+  return [...urls];
+}
+
+async function prewarmAlbum(decryptedToken, data) {
+  if (prewarmProgress.get(decryptedToken)?.status === 'running') {
+    return; // The next refresh picks up anything this run misses
+  }
+
+  const urls = getAlbumImageUrls(data);
+  const progress = {
+    status: 'running',
+    total: urls.length,
+    ready: 0,
+    pending: urls.length,
+    failed: 0,
+    startedAt: Date.now(),
+    finishedAt: null
+  };
+  prewarmProgress.set(decryptedToken, progress);
+
+  try {
+    const watermark = await getAlbumWatermark(decryptedToken);
+    const variant = watermark ? watermark.variant : null;
+    // Every ID in one batch, then each image's lookups and processing by one of a few workers
+    const secureIds = await getImageReferences(urls, watermark ? decryptedToken : null);
+    let next = 0;
+    const warmImages = async () => {
+      while (next < urls.length) {
+        const index = next++;
+        const url = urls[index];
+        const secureId = secureIds[index];
+        try {
+          const mapping = await getImageMapping(secureId);
+          const imageKey = imageCacheKey(secureId, chooseImageFormat(mapping && mapping.source, PREWARM_ACCEPT, watermark), null, variant);
+          if (!(await storage.stat('images', imageKey))) {
+            await runImageJob(imageKey, 'low', () => processImageVariant(secureId, url, PREWARM_ACCEPT, null, watermark));
+          } else if (!getImageDetails(secureId)) {
+            // Cached without its details (e.g. before they were kept) - take them from the cached render
+            await runImageJob(`${secureId}:details`, 'low', async () => {
+              await storeImageDetails(secureId, await storage.get('images', imageKey));
+            });
+          }
+          progress.ready++;
+        } catch (error) {
+          console.warn(`Pre-warm: could not process an image of ${decryptedToken}:`, error.message);
+          progress.failed++;
+        } finally {
+          progress.pending--;
+        }
+      }
+    };
+    await Promise.all(Array.from({ length: Math.min(PREWARM_CONCURRENCY, urls.length) }, warmImages));
+  } finally {
+    progress.status = 'done';
+    progress.finishedAt = Date.now();
+  }
+  console.log(`Pre-warmed album ${decryptedToken}: ${progress.ready} ready, ${progress.failed} failed`);
+}
+
+// Route to check an album's pre-warm progress
+app.get('/api/album/:token/warm-status', async (req, res) => {
+  let decryptedToken;
+  try {
+    decryptedToken = decryptToken(req.params.token);
+  } catch (error) {
+    return res.status(400).json({ error: 'Invalid token' });
+  }
+
+  const progress = prewarmProgress.get(decryptedToken);
+  if (!progress) {
+    return res.status(404).json({
+      error: CACHE_PREWARM ? 'Album has not been pre-warmed yet' : 'Pre-warming is disabled (CACHE_PREWARM is not set)'
+    });
+  }
+
+  res.json({
+    ...progress,
+    percent: progress.total > 0 ? Math.round(((progress.ready + progress.failed) / progress.total) * 100) : 100
+  });
+});
+
+// ============================================
+// VIDEO PROXY
+// ============================================
+// Videos are served from /api/video/<secureId>.mp4 (secure IDs share the image URL mappings), so
+// original iCloud URLs never reach clients. Range requests are supported for seeking. The first
+// request streams straight from iCloud (passing the Range through). When it asks for the whole file
+// (no Range, or `bytes=0-`), the same download is written to the video cache as it streams;
+// otherwise the whole file is downloaded into the cache in the background. Later requests are served
+// from the cache. Videos are only cached with the fs backend: the others would hold each one in memory.
+
+const VIDEO_RETENTION_TTL = parseInt(process.env.VIDEO_RETENTION_TTL || String(7 * 24 * 60 * 60 * 1000), 10); // Default: 7 days
+const VIDEO_CACHING = storage.name === 'fs';
+const inFlightVideoDownloads = new Map(); // secureId -> Promise
+
+// Whether an upstream response can be a video (iCloud sends video/* or a generic binary type). Anything
+// else, e.g. an HTML error page, is never passed on or cached.
+function isVideoResponse(response) {
+  const contentType = (response.headers.get('Content-Type') || '').split(';')[0].trim().toLowerCase();
+  return !contentType || contentType.startsWith('video/') || contentType === 'application/octet-stream';
+}
+
+// Download a video into the cache (shared between concurrent callers). `body` is a stream of the whole
+// file, already requested from iCloud, to save instead of downloading it again (only pass one when
+// VIDEO_CACHING is on and no download is in flight).
+function cacheVideo(secureId, originalUrl, body = null) {
+  if (!VIDEO_CACHING) {
+    return Promise.resolve();
+  }
+  const inFlight = inFlightVideoDownloads.get(secureId);
+  if (inFlight) {
+    return inFlight;
+  }
+
+  const videoKey = `${secureId}.mp4`;
+  const tempPath = path.join(TMP_DIR, `video-${secureId}-${crypto.randomBytes(4).toString('hex')}.mp4`);
+  // A given body may already be flowing to a client, so it's written from its first chunk on
+  const saving = body && pipeline(body, createWriteStream(tempPath));
+
+  const downloadPromise = (async () => {
+    try {
+      if (saving) {
+        await saving;
+      } else {
+        if (await storage.stat('videos', videoKey)) {
+          return;
+        }
+        const response = await upstreamFetch(originalUrl);
+        if (!response.ok) {
+          throw new Error(`Failed to download video: ${response.status} ${response.statusText}`);
+        }
+        if (!isVideoResponse(response)) {
+          await response.body?.cancel().catch(() => { });
+          throw new Error(`Failed to download video: unexpected Content-Type ${response.headers.get('Content-Type')}`);
+        }
+        await pipeline(Readable.fromWeb(response.body), createWriteStream(tempPath));
+      }
+      await storage.setFromFile('videos', videoKey, tempPath);
+      console.log(`Cached video: ${videoKey}`);
+    } finally {
+      await fs.unlink(tempPath).catch(() => { });
+    }
+  })().finally(() => {
+    inFlightVideoDownloads.delete(secureId);
+  });
+
+  inFlightVideoDownloads.set(secureId, downloadPromise);
+  return downloadPromise;
+}
+
+// Serve a cached video (from the video cache or generated previews), honouring a single byte range
+function sendCachedVideo(req, res, videoKey, stats, namespace = 'videos') {
+  res.set('Accept-Ranges', 'bytes');
+  res.set('Content-Type', 'video/mp4');
+  res.set('X-Content-Type-Options', 'nosniff');
+  res.set('Cache-Control', 'public, max-age=31536000, immutable');
+  res.set('ETag', `"${videoKey}-${stats.size}"`);
+
+  const range = req.range(stats.size, { combine: true });
+  if (range === -1) {
+    // Unsatisfiable range
+    res.set('Content-Range', `bytes */${stats.size}`);
+    return res.status(416).end();
+  }
+
+  let streamRange = {};
+  if (Array.isArray(range) && range.type === 'bytes') {
+    // Multiple ranges aren't supported - serve the first
+    const { start, end } = range[0];
+    streamRange = { start, end };
+    res.status(206);
+    res.set('Content-Range', `bytes ${start}-${end}/${stats.size}`);
+    res.set('Content-Length', String(end - start + 1));
+  } else {
+    res.set('Content-Length', String(stats.size));
+  }
+
+  storage.touch(namespace, videoKey).catch(() => { });
+
+  if (req.method === 'HEAD') {
+    return res.end();
+  }
+  pipeline(storage.createReadStream(namespace, videoKey, streamRange), res).catch(err => {
+    if (err.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+      console.error(`Error streaming cached video ${videoKey}:`, err);
+    }
+  });
+}
+
+// Route to proxy videos (using secure ID with .mp4 extension)
+app.get('/api/video/:secureId.mp4', async (req, res) => {
+  try {
+    const { secureId } = req.params;
+    const videoKey = `${secureId}.mp4`;
+
+    const stats = await storage.stat('videos', videoKey);
+    recordCacheLookup('videos', Boolean(stats));
+    if (stats) {
+      return sendCachedVideo(req, res, videoKey, stats);
+    }
+
+    const originalUrl = await getImageUrl(secureId);
+    if (!originalUrl) {
+      return res.status(404).json({ error: 'Video not found or expired' });
+    }
+
+    // Generated preview clips live in their own cache
+    if (isGeneratedUrl(originalUrl)) {
+      const generated = parseGeneratedUrl(originalUrl);
+      const generatedStats = generated && await storage.stat(generated.namespace, generated.key);
+      if (!generatedStats) {
+        return res.status(404).json({ error: 'Video not found or expired' });
+      }
+      return sendCachedVideo(req, res, generated.key, generatedStats, generated.namespace);
+    }
+
+    // Not cached yet - stream from iCloud, passing the client's Range through
+    const headers = {};
+    if (req.get('Range')) {
+      headers.Range = req.get('Range');
+    }
+    let upstream;
+    try {
+      upstream = await upstreamFetch(originalUrl, { headers });
+    } catch (error) {
+      if (isUpstreamUnavailable(error)) {
+        res.set('X-Upstream-Status', 'unavailable');
+        res.set('Retry-After', String(Math.max(1, Math.ceil((error.retryAt - Date.now()) / 1000))));
+        return res.status(503).json({
+          error: 'Upstream unavailable',
+          message: 'iCloud is currently unavailable and this video is not cached'
+        });
+      }
+      throw error;
+    }
+
+    if (!upstream.ok) {
+      await upstream.body?.cancel().catch(() => { });
+      if (upstream.status === 416) {
+        const contentRange = upstream.headers.get('Content-Range');
+        if (contentRange) {
+          res.set('Content-Range', contentRange);
+        }
+        return res.status(416).end();
+      }
+      // 401/403 means the iCloud URL has expired
+      const status = [401, 403, 404].includes(upstream.status) ? 404 : 502;
+      return res.status(status).json({ error: 'Failed to fetch video', message: `${upstream.status} ${upstream.statusText}` });
+    }
+    if (!isVideoResponse(upstream)) {
+      await upstream.body?.cancel().catch(() => { });
+      return res.status(502).json({ error: 'Failed to fetch video', message: `Unexpected Content-Type ${upstream.headers.get('Content-Type')}` });
+    }
+
+    // A response with the whole file is cached as it streams; otherwise the whole file is cached
+    // in the background for subsequent requests
+    const contentRange = (upstream.headers.get('Content-Range') || '').match(/^bytes 0-(\d+)\/(\d+)$/);
+    const wholeFile = upstream.status === 200 || Boolean(contentRange && Number(contentRange[1]) + 1 === Number(contentRange[2]));
+    const tee = wholeFile && VIDEO_CACHING && req.method !== 'HEAD' && Boolean(upstream.body) && !inFlightVideoDownloads.has(secureId);
+    const body = upstream.body ? Readable.fromWeb(upstream.body) : null;
+    if (tee) {
+      // The cache copy keeps downloading if the client goes away
+      res.on('close', () => body.unpipe(res));
+      body.on('error', err => res.destroy(err));
+    }
+    cacheVideo(secureId, originalUrl, tee ? body : null).catch(err => {
+      console.error(`Error caching video ${videoKey}:`, err.message);
+    });
+
+    res.status(upstream.status);
+    res.set('Accept-Ranges', 'bytes');
+    res.set('Content-Type', 'video/mp4');
+    res.set('X-Content-Type-Options', 'nosniff');
+    res.set('Cache-Control', 'public, max-age=31536000, immutable');
+    ['Content-Length', 'Content-Range'].forEach(header => {
+      const value = upstream.headers.get(header);
+      if (value) {
+        res.set(header, value);
+      }
+    });
+
+    if (req.method === 'HEAD' || !body) {
+      body?.destroy();
+      return res.end();
+    }
+    if (tee) {
+      body.pipe(res);
+      return;
+    }
+    await pipeline(body, res).catch(err => {
+      if (err.code !== 'ERR_STREAM_PREMATURE_CLOSE' && err.name !== 'AbortError') {
+        console.error(`Error streaming video ${videoKey}:`, err);
+      }
+    });
+  } catch (error) {
+    console.error('Error proxying video:', error);
+    if (!res.headersSent) {
+      res.status(500).json({
+        error: 'Failed to proxy video',
+        message: error.message
+      });
+    }
+  }
+});
+
+// ============================================
+// VIDEO POSTERS AND PREVIEW CLIPS
+// ============================================
+// For every video, ffmpeg extracts a representative poster frame (10% in) and a short muted,
+// low-bitrate preview clip starting at the same point. They're stored in the video-previews cache
+// and registered in the URL mappings under `generated:` URLs, so they're served through the
+// image and video proxies like anything else (the poster gets every encoding, width and placeholder).
+// Generation runs one video at a time in the background, the first time an album response
+// includes a video without previews; failures are retried after VIDEO_PREVIEW_RETRY_INTERVAL.
+
+const VIDEO_PREVIEW_DURATION = parseInt(process.env.VIDEO_PREVIEW_DURATION || '3', 10); // Seconds
+const VIDEO_PREVIEW_HEIGHT = parseInt(process.env.VIDEO_PREVIEW_HEIGHT || '360', 10);
+const VIDEO_PREVIEW_BITRATE = process.env.VIDEO_PREVIEW_BITRATE || '400k';
+const VIDEO_PREVIEW_RETRY_INTERVAL = 60 * 60 * 1000; // 1 hour
+const VIDEO_PREVIEW_TIMEOUT = 2 * 60 * 1000; // Per ffmpeg run
+const pendingVideoPreviews = new Set(); // `${token}_${photoGuid}` being generated
+let videoPreviewQueue = Promise.resolve();
+let warnedFfmpegUnavailable = false;
+
+// Generated files are referenced as `generated:<namespace>/<key>` in the URL mappings. Only the
+// namespaces generated files are written to can be referenced, with plain keys.
+const GENERATED_URL_NAMESPACES = ['video-previews'];
+
+function generatedUrl(namespace, key) {
+  return `generated:${namespace}/${key}`;
+}
+
+function isGeneratedUrl(url) {
+  return typeof url === 'string' && url.startsWith('generated:');
+}
+
+// { namespace, key } of a generated URL, or null if it isn't one (or names anything it shouldn't)
+function parseGeneratedUrl(url) {
+  const match = isGeneratedUrl(url) && url.match(/^generated:([a-z-]+)\/([\w-][\w.-]*)$/);
+  if (!match || !GENERATED_URL_NAMESPACES.includes(match[1])) {
+    return null;
+  }
+  return { namespace: match[1], key: match[2] };
+}
+
+function videoPreviewKey(decryptedToken, photoGuid) {
+  return `${sanitizeToken(decryptedToken)}_${sanitizeToken(photoGuid)}`;
+}
+
+// Run an ffmpeg command to completion (killed after VIDEO_PREVIEW_TIMEOUT)
+function runFfmpeg(command) {
+  return new Promise((resolve, reject) => {
+    const timeoutId = setTimeout(() => {
+      command.kill('SIGTERM');
+      reject(new Error(`FFmpeg timeout after ${VIDEO_PREVIEW_TIMEOUT / 1000}s`));
+    }, VIDEO_PREVIEW_TIMEOUT);
+    command
+      .on('end', () => {
+        clearTimeout(timeoutId);
+        resolve();
+      })
+      .on('error', (err) => {
+        clearTimeout(timeoutId);
+        reject(err);
+      })
+      .run();
+  });
+}
+
+// Extract the poster frame and preview clip for a video and record them in the video-previews cache
+async function generateVideoPreview(decryptedToken, photoGuid, videoUrl) {
+  const baseKey = videoPreviewKey(decryptedToken, photoGuid);
+  const posterKey = `${baseKey}.poster.jpg`;
+  const clipKey = `${baseKey}.preview.mp4`;
+  const posterPath = path.join(TMP_DIR, `${baseKey}.poster.jpg`);
+  const clipPath = path.join(TMP_DIR, `${baseKey}.preview.mp4`);
+
+  try {
+    // Representative point: 10% in, leaving room for the clip on short videos
+    const duration = await getVideoDuration(videoUrl);
+    const offset = duration ? Math.max(0, Math.min(duration * 0.1, duration - VIDEO_PREVIEW_DURATION)) : 1;
+
+    await runFfmpeg(ffmpeg(videoUrl)
+      .inputOptions(['-ss', String(offset)])
+      .outputOptions(['-frames:v', '1', '-vf', `scale='min(${MAX_IMAGE_WIDTH},iw)':-2`, '-q:v', '3'])
+      .output(posterPath));
+
+    await runFfmpeg(ffmpeg(videoUrl)
+      .inputOptions(['-ss', String(offset)])
+      .noAudio()
+      .videoCodec('libx264')
+      .outputOptions([
+        '-t', String(VIDEO_PREVIEW_DURATION),
+        '-vf', `scale=-2:'min(${VIDEO_PREVIEW_HEIGHT},ih)'`,
+        '-b:v', VIDEO_PREVIEW_BITRATE,
+        '-maxrate', VIDEO_PREVIEW_BITRATE,
+        '-bufsize', VIDEO_PREVIEW_BITRATE,
+        '-preset', 'veryfast',
+        '-pix_fmt', 'yuv420p',
+        '-movflags', '+faststart' // Playable before fully downloaded
+      ])
+      .output(clipPath));
+
+    const posterBuffer = await fs.readFile(posterPath);
+    const posterMetadata = await sharp(posterBuffer).metadata();
+    await storage.set('video-previews', posterKey, posterBuffer);
+    await storage.setFromFile('video-previews', clipKey, clipPath);
+
+    const preview = {
+      status: 'ready',
+      poster: { key: posterKey, width: posterMetadata.width, height: posterMetadata.height },
+      clip: { key: clipKey, duration: duration ? Math.min(VIDEO_PREVIEW_DURATION, duration) : VIDEO_PREVIEW_DURATION },
+      generatedAt: Date.now()
+    };
+    await writeCacheJSON('video-previews', `${baseKey}.json`, preview);
+    console.log(`Generated poster and preview clip for video ${photoGuid}`);
+    return preview;
+  } finally {
+    await fs.unlink(posterPath).catch(() => { });
+    await fs.unlink(clipPath).catch(() => { });
+  }
+}
+
+// Queue preview generation for a video (one at a time, deduped)
+function queueVideoPreview(decryptedToken, photoGuid, videoUrl) {
+  const baseKey = videoPreviewKey(decryptedToken, photoGuid);
+  if (pendingVideoPreviews.has(baseKey)) {
+    return;
+  }
+  if (!ffmpegPath || !existsSync(ffmpegPath)) {
+    if (!warnedFfmpegUnavailable) {
+      console.warn('FFmpeg not available, video posters and preview clips will not be generated');
+      warnedFfmpegUnavailable = true;
+    }
+    return;
+  }
+  // ffmpeg reads the video from iCloud directly, so respect the upstream circuit
+  if (getUpstreamStatus(new URL(videoUrl).host)) {
+    return;
+  }
+
+  pendingVideoPreviews.add(baseKey);
+  videoPreviewQueue = videoPreviewQueue.then(async () => {
+    try {
+      await generateVideoPreview(decryptedToken, photoGuid, videoUrl);
+    } catch (error) {
+      console.error(`Error generating preview for video ${photoGuid}:`, error.message);
+      await writeCacheJSON('video-previews', `${baseKey}.json`, {
+        status: 'failed',
+        error: error.message,
+        failedAt: Date.now()
+      }).catch(() => { });
+    } finally {
+      pendingVideoPreviews.delete(baseKey);
+    }
+  });
+}
+
+// Poster and preview clip references for a video in an album response (queues generation if missing)
+// `watermarkAlbum` is passed on to storeImageUrl so posters of watermarked albums are marked too
+async function getVideoPreview(decryptedToken, photo, watermarkAlbum = null) {
+  const baseKey = videoPreviewKey(decryptedToken, photo.photoGuid);
+  const preview = await readCacheJSON('video-previews', `${baseKey}.json`);
+  // A poster or clip removed by the cache cleanup is generated again
+  const evicted = preview?.status === 'ready' && !(
+    await storage.stat('video-previews', preview.poster.key) && await storage.stat('video-previews', preview.clip.key)
+  );
+
+  if (!preview || evicted || (preview.status === 'failed' && Date.now() - preview.failedAt > VIDEO_PREVIEW_RETRY_INTERVAL)) {
+    const videoUrl = getVideoUrl(photo);
+    if (videoUrl && videoUrl.startsWith('http')) {
+      queueVideoPreview(decryptedToken, photo.photoGuid, videoUrl);
+    }
+    return null;
+  }
+  if (preview.status !== 'ready') {
+    return null;
+  }
+
+  const posterId = await storeImageUrl(generatedUrl('video-previews', preview.poster.key), watermarkAlbum);
+  const clipId = await storeImageUrl(generatedUrl('video-previews', preview.clip.key));
+  return {
+    poster: { url: `/api/image/${posterId}.jpg`, width: preview.poster.width, height: preview.poster.height },
+    preview: { url: `/api/video/${clipId}.mp4`, duration: preview.clip.duration }
+  };
+}
+
+// Build a srcset from a photo's largest proxied derivative: one entry per allowed width below
+// the delivered full size, plus the full-size image itself
+function buildSrcset(photo) {
+  const largest = Object.values(photo.derivatives)
+    .filter(d => d && typeof d.url === 'string' && d.url.startsWith('/api/image/') && parseInt(d.width, 10) > 0)
+    .sort((a, b) => parseInt(b.width, 10) - parseInt(a.width, 10))[0];
+  if (!largest) {
+    return null;
+  }
+
+  // Width of the unscaled proxy output (the source fitted into the MAX_IMAGE_WIDTH x MAX_IMAGE_HEIGHT box)
+  const sourceWidth = parseInt(largest.width, 10);
+  const sourceHeight = parseInt(largest.height, 10) || sourceWidth;
+  const fullWidth = Math.round(sourceWidth * Math.min(1, MAX_IMAGE_WIDTH / sourceWidth, MAX_IMAGE_HEIGHT / sourceHeight));
+
+  const entries = IMAGE_WIDTHS
+    .filter(width => width < fullWidth)
+    .map(width => `${largest.url}?w=${width} ${width}w`);
+  entries.push(`${largest.url} ${fullWidth}w`);
+  return entries.join(', ');
+}
 
 // Helper function to rewrite image URLs to use proxy
 async function rewriteImageUrls(data, originalToken) {
@@ -827,8 +3502,14 @@ async function rewriteImageUrls(data, originalToken) {
 
   const rewritten = JSON.parse(JSON.stringify(data)); // Deep clone
 
-  // Process all image URLs in parallel
-  const urlPromises = [];
+  // Images of watermarked albums get their own secure IDs (videos aren't watermarked)
+  const watermarkAlbum = originalToken && await getAlbumWatermark(originalToken) ? originalToken : null;
+
+  // Collect every URL first so the whole album is stored with one batch per kind
+  const imageUrls = [];
+  const videoUrls = [];
+  const imageOrigins = [];
+  const videoOrigins = [];
   const urlIndices = [];
 
   rewritten.photos.forEach((photo, photoIndex) => {
@@ -845,38 +3526,42 @@ async function rewriteImageUrls(data, originalToken) {
       }
 
       if (derivative.url && typeof derivative.url === 'string') {
-        // Skip if already rewritten (starts with /api/image/)
-        if (derivative.url.startsWith('/api/image/')) {
+        // Skip if already rewritten (starts with /api/image/ or /api/video/)
+        if (derivative.url.startsWith('/api/image/') || derivative.url.startsWith('/api/video/')) {
           return;
         }
-        // Only proxy images, not videos (videos don't have EXIF data)
+        // Videos go through the video proxy (no processing), everything else through the image proxy
         // Check case-insensitively for video files
-        const urlLower = derivative.url.toLowerCase();
-        if (urlLower.includes('.mp4')) {
-          // Keep video file URLs as-is (but video thumbnail JPGs should still be proxied)
-          return;
-        }
+        const isVideoFile = derivative.url.toLowerCase().includes('.mp4');
         // Store original URL securely and get opaque ID
-        // This includes all image URLs (photos and video thumbnail JPGs)
+        // This includes all image URLs (photos and video thumbnail JPGs) and video files
         // Video thumbnail JPGs will be processed the same as photo JPGs
-        urlPromises.push(storeImageUrl(derivative.url));
-        urlIndices.push({ photoIndex, size });
+        const urls = isVideoFile ? videoUrls : imageUrls;
+        urlIndices.push({ photoIndex, size, isVideoFile, index: urls.length });
+        urls.push(derivative.url);
+        // Where the URL came from, so it can be re-resolved from the album once it expires
+        (isVideoFile ? videoOrigins : imageOrigins).push(originalToken && photo.photoGuid
+          ? { album: originalToken, photoGuid: photo.photoGuid, derivative: size }
+          : null);
       }
     });
   });
 
-  // Wait for all secure IDs to be generated
-  if (urlPromises.length > 0) {
+  // Look up (or create) all secure IDs
+  if (urlIndices.length > 0) {
     try {
-      const secureIds = await Promise.all(urlPromises);
+      const imageIds = await getImageReferences(imageUrls, watermarkAlbum, imageOrigins);
+      const videoIds = await storeImageUrls(videoUrls, null, videoOrigins);
 
-      // Apply secure IDs to derivatives (with .jpg extension for better caching)
-      secureIds.forEach((secureId, index) => {
-        const { photoIndex, size } = urlIndices[index];
+      // Apply secure IDs to derivatives (with .jpg/.mp4 extension for better caching)
+      urlIndices.forEach(({ photoIndex, size, isVideoFile, index }) => {
+        const secureId = isVideoFile ? videoIds[index] : imageIds[index];
         if (rewritten.photos[photoIndex] &&
           rewritten.photos[photoIndex].derivatives &&
           rewritten.photos[photoIndex].derivatives[size]) {
-          rewritten.photos[photoIndex].derivatives[size].url = `/api/image/${secureId}.jpg`;
+          rewritten.photos[photoIndex].derivatives[size].url = isVideoFile
+            ? `/api/video/${secureId}.mp4`
+            : `/api/image/${secureId}.jpg`;
         }
       });
     } catch (error) {
@@ -885,6 +3570,53 @@ async function rewriteImageUrls(data, originalToken) {
     }
   }
 
+  // Add responsive image data for photos (videos keep their poster derivatives)
+  rewritten.photos.forEach(photo => {
+    if (!photo || !photo.derivatives || isVideo(photo)) {
+      return;
+    }
+    const srcset = buildSrcset(photo);
+    if (srcset) {
+      photo.srcset = srcset;
+      photo.sizes = IMAGE_SIZES;
+    }
+  });
+
+  // Add generated poster frames and preview clips for videos
+  if (originalToken) {
+    await Promise.all(data.photos.map(async (photo, index) => {
+      if (!photo || !photo.photoGuid || !isVideo(photo)) {
+        return;
+      }
+      const preview = await getVideoPreview(originalToken, photo, watermarkAlbum).catch(err => {
+        console.error(`Error reading preview for video ${photo.photoGuid}:`, err);
+        return null;
+      });
+      if (preview) {
+        Object.assign(rewritten.photos[index], preview);
+      }
+    }));
+  }
+
+  // Add placeholders and EXIF (photos and video posters) of images that have been processed
+  rewritten.photos.forEach(photo => {
+    const secureIds = photo && photo.derivatives ? getProxiedImageKeys(photo).map(key => key.replace(/\.jpg$/, '')) : [];
+    if (photo && photo.poster) {
+      secureIds.push(photo.poster.url.replace('/api/image/', '').replace(/\.jpg$/, ''));
+    }
+    for (const secureId of secureIds) {
+      const details = getImageDetails(secureId);
+      if (!details) {
+        continue;
+      }
+      photo.placeholder = photo.placeholder || details.placeholder;
+      // Some derivatives may have lost their EXIF upstream - use the first one that has it
+      if (details.exif && !photo.exif) {
+        photo.exif = details.exif;
+      }
+    }
+  });
+
   // Remove location data from metadata if present
   if (rewritten.metadata && rewritten.metadata.locations) {
     rewritten.metadata.locations = {};
@@ -915,6 +3647,203 @@ app.post('/api/encrypt-token', (req, res) => {
   }
 });
 
+// ============================================
+// ALBUM PAGINATION AND FILTERING
+// ============================================
+// Opt-in via query parameters on /api/album/:token. Without any of them the full album is returned as before.
+//   limit       - page size (1..MAX_ALBUM_PAGE_SIZE)
+//   cursor      - nextCursor from the previous page
+//   type        - 'photo' or 'video'
+//   from, to    - dateCreated range (ms timestamp or ISO date, inclusive)
+//   contributor - contributor full or first name (case-insensitive)
+// Paginated results are ordered newest first (same as the viewers) so cursors stay stable across refreshes.
+
+const MAX_ALBUM_PAGE_SIZE = parseInt(process.env.MAX_ALBUM_PAGE_SIZE || '500', 10);
+const ALBUM_QUERY_PARAMS = ['limit', 'cursor', 'type', 'from', 'to', 'contributor'];
+
+// A query parameter made only of digits as a number, else NaN ('2.5', '10abc' and '-1' included)
+function parseIntegerParam(value) {
+  return typeof value === 'string' && /^\d+$/.test(value) ? parseInt(value, 10) : NaN;
+}
+
+function parseDateParam(value) {
+  if (value === undefined || value === '') {
+    return null;
+  }
+  const time = /^\d+$/.test(value) ? parseInt(value, 10) : Date.parse(value);
+  return isNaN(time) ? NaN : time;
+}
+
+function getPhotoTime(photo) {
+  const time = new Date(photo.dateCreated || photo.batchDateCreated || 0).getTime();
+  return isNaN(time) ? 0 : time;
+}
+
+// Parse pagination/filter query parameters (returns null if none are present, or { error } if invalid)
+function parseAlbumQuery(query) {
+  if (!ALBUM_QUERY_PARAMS.some(param => query[param] !== undefined)) {
+    return null;
+  }
+
+  const albumQuery = {
+    limit: MAX_ALBUM_PAGE_SIZE,
+    after: null,
+    type: null,
+    from: parseDateParam(query.from),
+    to: parseDateParam(query.to),
+    contributor: query.contributor ? String(query.contributor).trim().toLowerCase() : null
+  };
+
+  if (query.limit !== undefined) {
+    const limit = parseIntegerParam(query.limit);
+    if (isNaN(limit) || limit < 1) {
+      return { error: 'Invalid limit' };
+    }
+    albumQuery.limit = Math.min(limit, MAX_ALBUM_PAGE_SIZE);
+  }
+
+  if (query.cursor) {
+    try {
+      const decoded = JSON.parse(Buffer.from(String(query.cursor), 'base64url').toString('utf-8'));
+      if (typeof decoded.t !== 'number' || typeof decoded.g !== 'string') {
+        throw new Error('Malformed cursor');
+      }
+      albumQuery.after = decoded;
+    } catch (e) {
+      return { error: 'Invalid cursor' };
+    }
+  }
+
+  if (query.type !== undefined) {
+    if (query.type !== 'photo' && query.type !== 'video') {
+      return { error: "Invalid type, expected 'photo' or 'video'" };
+    }
+    albumQuery.type = query.type;
+  }
+
+  if (Number.isNaN(albumQuery.from) || Number.isNaN(albumQuery.to)) {
+    return { error: 'Invalid date range, expected timestamps in milliseconds or ISO dates' };
+  }
+
+  return albumQuery;
+}
+
+// Apply filters and pagination to album data (before URL rewriting, so only the page is rewritten)
+function selectAlbumPage(data, albumQuery) {
+  const photos = Array.isArray(data.photos) ? data.photos.filter(Boolean) : [];
+
+  const filtered = photos.filter(photo => {
+    if (albumQuery.type && (albumQuery.type === 'video') !== isVideo(photo)) {
+      return false;
+    }
+    const time = getPhotoTime(photo);
+    if (albumQuery.from !== null && time < albumQuery.from) {
+      return false;
+    }
+    if (albumQuery.to !== null && time > albumQuery.to) {
+      return false;
+    }
+    if (albumQuery.contributor) {
+      const fullName = (photo.contributorFullName || '').toLowerCase();
+      const firstName = (photo.contributorFirstName || '').toLowerCase();
+      if (fullName !== albumQuery.contributor && firstName !== albumQuery.contributor) {
+        return false;
+      }
+    }
+    return true;
+  });
+
+  // Newest first, photoGuid as a tie-breaker so the order is total
+  filtered.sort((a, b) => (getPhotoTime(b) - getPhotoTime(a)) || String(a.photoGuid).localeCompare(String(b.photoGuid)));
+
+  let start = 0;
+  if (albumQuery.after) {
+    const { t, g } = albumQuery.after;
+    start = filtered.findIndex(photo => {
+      const time = getPhotoTime(photo);
+      return time < t || (time === t && String(photo.photoGuid).localeCompare(g) > 0);
+    });
+    if (start === -1) {
+      start = filtered.length;
+    }
+  }
+
+  const page = filtered.slice(start, start + albumQuery.limit);
+  const last = page[page.length - 1];
+  const hasMore = start + page.length < filtered.length;
+  const videoCount = photos.filter(photo => isVideo(photo)).length;
+
+  return {
+    ...data,
+    photos: page,
+    pagination: {
+      total: photos.length,
+      totalPhotos: photos.length - videoCount,
+      totalVideos: videoCount,
+      matching: filtered.length,
+      limit: albumQuery.limit,
+      nextCursor: hasMore && last
+        ? Buffer.from(JSON.stringify({ t: getPhotoTime(last), g: String(last.photoGuid) })).toString('base64url')
+        : null
+    }
+  };
+}
+
+// Build the album response: apply pagination/filters if requested, then rewrite image URLs
+// (archived photos the owner removed are only available through the admin archive endpoint)
+async function buildAlbumResponse(data, originalToken, albumQuery, alreadyRewritten = false) {
+  const selected = albumQuery ? selectAlbumPage(data, albumQuery) : data;
+  return alreadyRewritten ? selected : rewriteImageUrls(selected, originalToken);
+}
+
+// Serialize a value as JSON with object keys sorted, so equal content always produces the same string
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(item => stableStringify(item === undefined ? null : item)).join(',')}]`;
+  }
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    const entries = Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+// Content hash of an album response (ignores the volatile `reloading` and `upstream` fields)
+function hashAlbumContent(response) {
+  const { reloading, upstream, contentHash, ...content } = response;
+  return crypto.createHash('sha256').update(stableStringify(content)).digest('hex').substring(0, 32);
+}
+
+// Send an album response with its content hash, honouring If-None-Match with a 304
+function sendAlbumJSON(req, res, response) {
+  // While iCloud is unavailable the response comes from cache - say so
+  const upstream = getUpstreamStatus(albumSource.host);
+  if (upstream) {
+    response.upstream = upstream;
+  }
+
+  response.contentHash = hashAlbumContent(response);
+  // Include the reloading and upstream flags in the ETag so clients pick up when either changes
+  const etag = `"${response.contentHash}${response.reloading ? '-r' : ''}${upstream ? '-u' : ''}"`;
+
+  // Let clients cache the body but always revalidate
+  res.set('ETag', etag);
+  res.set('Cache-Control', 'no-cache');
+
+  const ifNoneMatch = req.get('If-None-Match');
+  if (ifNoneMatch) {
+    const candidates = ifNoneMatch.split(',').map(tag => tag.trim().replace(/^W\//, ''));
+    if (candidates.includes(etag) || candidates.includes('*')) {
+      return res.status(304).end();
+    }
+  }
+
+  return res.json(response);
+}
+
 // Route to get iCloud shared album by token
 app.get('/api/album/:token', async (req, res) => {
   try {
@@ -949,11 +3878,20 @@ app.get('/api/album/:token', async (req, res) => {
     // Use decrypted token as cache key so encrypted and unencrypted tokens share the same cache
     const cacheKey = finalDecryptedToken;
 
+    // Optional pagination and filters
+    const albumQuery = parseAlbumQuery(req.query);
+    if (albumQuery && albumQuery.error) {
+      return res.status(400).json({ error: albumQuery.error });
+    }
+
     // Check if refresh is requested (force fresh fetch)
     const forceRefresh = req.query.refresh === 'true';
 
     // Check cache first (stale-while-revalidate) - skip if force refresh
     const cached = forceRefresh ? null : await getCachedData(cacheKey);
+    if (!forceRefresh) {
+      recordCacheLookup('albums', Boolean(cached));
+    }
     if (cached) {
       const isStale = cached.isStale;
       const cachedData = cached.data;
@@ -968,13 +3906,14 @@ app.get('/api/album/:token', async (req, res) => {
       if (hasRewrittenUrls) {
         // Old cache format - URLs already rewritten, just return as-is
         if (isStale && !reloadingState.get(cacheKey)) {
-          cachedData.reloading = true;
-          res.json(cachedData);
+          const response = await buildAlbumResponse(cachedData, finalDecryptedToken, albumQuery, true);
+          response.reloading = true;
+          sendAlbumJSON(req, res, response);
 
           // Reload in background
           (async () => {
             try {
-              const freshData = await getImages(finalDecryptedToken);
+              const freshData = await fetchAlbum(finalDecryptedToken);
 
               // Trigger video augmentation processing for all videos in background
               if (freshData.photos && Array.isArray(freshData.photos)) {
@@ -997,8 +3936,6 @@ app.get('/api/album/:token', async (req, res) => {
                 });
               }
 
-              const freshRewritten = await rewriteImageUrls(freshData, finalDecryptedToken);
-              await setCachedData(cacheKey, freshRewritten, false);
               console.log(`Background reload complete for album: ${finalDecryptedToken}`);
             } catch (error) {
               console.error('Background reload failed:', error);
@@ -1007,12 +3944,13 @@ app.get('/api/album/:token', async (req, res) => {
           })();
           return;
         } else {
-          cachedData.reloading = false;
+          const response = await buildAlbumResponse(cachedData, finalDecryptedToken, albumQuery, true);
+          response.reloading = false;
 
           // Track this token for background refresh
           trackTokenForRefresh(finalDecryptedToken);
 
-          return res.json(cachedData);
+          return sendAlbumJSON(req, res, response);
         }
       }
 
@@ -1023,19 +3961,19 @@ app.get('/api/album/:token', async (req, res) => {
         setReloading(cacheKey, true);
 
         // Return stale data immediately with reloading flag
-        const rewritten = await rewriteImageUrls(cachedData, finalDecryptedToken);
+        const rewritten = await buildAlbumResponse(cachedData, finalDecryptedToken, albumQuery);
         rewritten.reloading = true;
 
         // Track this token for background refresh
         trackTokenForRefresh(finalDecryptedToken);
 
-        res.json(rewritten);
+        sendAlbumJSON(req, res, rewritten);
 
         // Reload in background (don't await)
         (async () => {
           try {
             console.log('Decrypted token:', finalDecryptedToken);
-            const freshData = await getImages(finalDecryptedToken);
+            const freshData = await fetchAlbum(finalDecryptedToken);
 
             // Trigger video augmentation processing for all videos in background
             if (freshData.photos && Array.isArray(freshData.photos)) {
@@ -1058,8 +3996,6 @@ app.get('/api/album/:token', async (req, res) => {
               });
             }
 
-            const freshRewritten = await rewriteImageUrls(freshData, finalDecryptedToken);
-            await setCachedData(cacheKey, freshRewritten, false);
             console.log(`Background reload complete for album: ${finalDecryptedToken}`);
           } catch (error) {
             console.error('Background reload failed:', error);
@@ -1070,77 +4006,366 @@ app.get('/api/album/:token', async (req, res) => {
       } else if (!isStale) {
         // Fresh cache
         console.log(`Cache hit for album: ${finalDecryptedToken}`);
-        const rewritten = await rewriteImageUrls(cachedData, finalDecryptedToken);
+        const rewritten = await buildAlbumResponse(cachedData, finalDecryptedToken, albumQuery);
         rewritten.reloading = false;
 
         // Track this token for background refresh
         trackTokenForRefresh(finalDecryptedToken);
 
-        return res.json(rewritten);
-      }
+        return sendAlbumJSON(req, res, rewritten);
+      }
+    }
+
+    // Cache miss - fetch from iCloud (shared with any concurrent requests for this album)
+    console.log(`Cache miss for album: ${finalDecryptedToken}, fetching from iCloud...`);
+    const data = await fetchAlbum(finalDecryptedToken);
+
+    // Trigger video augmentation processing for all videos in background (with queue)
+    if (data.photos && Array.isArray(data.photos)) {
+      data.photos.forEach(photo => {
+        if (isVideo(photo)) {
+          const videoUrl = getVideoUrl(photo);
+          if (videoUrl) {
+            // Queue for processing (don't await)
+            queueVideoProcessing(finalDecryptedToken, photo.photoGuid, videoUrl)
+              .then(augmentation => {
+                if (augmentation) {
+                  console.log(`Background video augmentation complete for ${photo.photoGuid}`);
+                }
+              })
+              .catch(err => {
+                console.error(`Background video augmentation failed for ${photo.photoGuid}:`, err);
+              });
+          }
+        }
+      });
+    }
+
+    // Rewrite URLs to use proxy (strip EXIF) for response
+    const rewritten = await buildAlbumResponse(data, finalDecryptedToken, albumQuery);
+    rewritten.reloading = false;
+
+    // Track this token for background refresh
+    trackTokenForRefresh(finalDecryptedToken);
+
+    sendAlbumJSON(req, res, rewritten);
+  } catch (error) {
+    const upstream = getUpstreamStatus(albumSource.host);
+    if (upstream) {
+      // iCloud is unavailable (e.g. a forced refresh while the circuit is open) - fall back to cache if we can
+      try {
+        const decryptedToken = decryptToken(req.params.token);
+        const cached = await getCachedData(decryptedToken);
+        if (cached) {
+          console.log(`Upstream unavailable, serving cached album: ${decryptedToken}`);
+          const response = await buildAlbumResponse(cached.data, decryptedToken, parseAlbumQuery(req.query));
+          response.reloading = false;
+          return sendAlbumJSON(req, res, response);
+        }
+      } catch (cacheError) {
+        console.error('Error serving cached album while upstream unavailable:', cacheError);
+      }
+      res.set('Retry-After', String(Math.max(1, Math.ceil((Date.parse(upstream.retryAt) - Date.now()) / 1000))));
+      return res.status(503).json({
+        error: 'Upstream unavailable',
+        message: 'iCloud is currently unavailable and this album is not cached',
+        upstream
+      });
+    }
+    console.error('Error fetching album:', error);
+    res.status(500).json({
+      error: 'Failed to fetch album',
+      message: error.message
+    });
+  }
+});
+
+// Route to get changes to an album since a timestamp or cursor
+// ?since=<ms timestamp or ISO date> or ?cursor=<seq from a previous response>, optional ?limit=
+app.get('/api/album/:token/changes', async (req, res) => {
+  try {
+    const { token } = req.params;
+
+    let decryptedToken;
+    try {
+      decryptedToken = decryptToken(token);
+    } catch (error) {
+      return res.status(400).json({ error: 'Invalid token' });
+    }
+
+    if (!decryptedToken) {
+      return res.status(400).json({ error: 'Invalid token' });
+    }
+
+    const { since, cursor } = req.query;
+    let limit = 500;
+    if (req.query.limit !== undefined) {
+      limit = parseIntegerParam(req.query.limit);
+      if (isNaN(limit) || limit < 1) {
+        return res.status(400).json({ error: 'Invalid limit' });
+      }
+    }
+    limit = Math.min(limit, MAX_CHANGE_LOG_ENTRIES);
+
+    let afterSeq = 0;
+    let sinceTimestamp = 0;
+    if (cursor !== undefined) {
+      afterSeq = parseIntegerParam(cursor);
+      if (isNaN(afterSeq)) {
+        return res.status(400).json({ error: 'Invalid cursor' });
+      }
+    } else if (since !== undefined) {
+      sinceTimestamp = /^\d+$/.test(since) ? parseInt(since, 10) : Date.parse(since);
+      if (isNaN(sinceTimestamp)) {
+        return res.status(400).json({ error: 'Invalid since value, expected a timestamp in milliseconds or an ISO date' });
+      }
+    }
+
+    const log = await getAlbumChangeLog(decryptedToken);
+    const matching = log.entries.filter(entry => entry.seq > afterSeq && entry.timestamp > sinceTimestamp);
+    const changes = matching.slice(0, limit);
+
+    res.json({
+      changes,
+      // Pass back as ?cursor= to get only newer changes
+      cursor: changes.length > 0 ? changes[changes.length - 1].seq : Math.max(afterSeq, log.nextSeq - 1),
+      hasMore: matching.length > changes.length,
+      // Oldest change still in the log (older changes have been dropped)
+      oldestTimestamp: log.entries.length > 0 ? log.entries[0].timestamp : null
+    });
+  } catch (error) {
+    console.error('Error fetching album changes:', error);
+    res.status(500).json({
+      error: 'Failed to fetch album changes',
+      message: error.message
+    });
+  }
+});
+
+// Route to read an album's settings (admin)
+app.get('/api/album/:token/settings', requireAdmin, async (req, res) => {
+  try {
+    let decryptedToken;
+    try {
+      decryptedToken = decryptToken(req.params.token);
+    } catch (error) {
+      return res.status(400).json({ error: 'Invalid token' });
+    }
+
+    res.json(await getAlbumSettings(decryptedToken));
+  } catch (error) {
+    console.error('Error reading album settings:', error);
+    res.status(500).json({ error: 'Failed to read album settings', message: error.message });
+  }
+});
+
+// Route to update an album's settings (admin) - body is a partial settings object
+app.post('/api/album/:token/settings', requireAdmin, async (req, res) => {
+  try {
+    let decryptedToken;
+    try {
+      decryptedToken = decryptToken(req.params.token);
+    } catch (error) {
+      return res.status(400).json({ error: 'Invalid token' });
+    }
+
+    if (!req.body || typeof req.body !== 'object' || Array.isArray(req.body)) {
+      return res.status(400).json({ error: 'Settings object is required' });
+    }
+
+    let settings;
+    try {
+      settings = await updateAlbumSettings(decryptedToken, req.body);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    if ('refreshPolicy' in req.body) {
+      await syncRefreshPolicy(decryptedToken);
+    }
+    if (settings.watermark) {
+      await recordAlbumOrigins(decryptedToken);
+    }
+    res.json(settings);
+  } catch (error) {
+    console.error('Error updating album settings:', error);
+    res.status(500).json({ error: 'Failed to update album settings', message: error.message });
+  }
+});
+
+// Route to list an album's historical snapshots (admin - they include photos the owner removed)
+app.get('/api/album/:token/snapshots', requireAdmin, async (req, res) => {
+  try {
+    let decryptedToken;
+    try {
+      decryptedToken = decryptToken(req.params.token);
+    } catch (error) {
+      return res.status(400).json({ error: 'Invalid token' });
+    }
+
+    const settings = await getAlbumSettings(decryptedToken);
+    const index = await getSnapshotIndex(decryptedToken);
+    res.json({
+      retention: settings.snapshotRetention,
+      snapshots: index.snapshots.map(snapshot => ({
+        ...snapshot,
+        date: new Date(snapshot.timestamp).toISOString()
+      })),
+      archivedCount: Object.keys(index.archive).length
+    });
+  } catch (error) {
+    console.error('Error listing album snapshots:', error);
+    res.status(500).json({ error: 'Failed to list album snapshots', message: error.message });
+  }
+});
+
+// Route to view an album as it was at a given date (ms timestamp or ISO date) (admin)
+app.get('/api/album/:token/as-of/:date', requireAdmin, async (req, res) => {
+  try {
+    const { token, date } = req.params;
+
+    let decryptedToken;
+    try {
+      decryptedToken = decryptToken(token);
+    } catch (error) {
+      return res.status(400).json({ error: 'Invalid token' });
+    }
+
+    const asOf = parseDateParam(date);
+    if (asOf === null || Number.isNaN(asOf)) {
+      return res.status(400).json({ error: 'Invalid date, expected a timestamp in milliseconds or an ISO date' });
+    }
+
+    // Latest snapshot taken at or before the requested date
+    const index = await getSnapshotIndex(decryptedToken);
+    const match = index.snapshots.filter(snapshot => snapshot.timestamp <= asOf).pop();
+    if (!match) {
+      return res.status(404).json({ error: 'No snapshot available for that date' });
+    }
+
+    const snapshot = await readCacheJSON('snapshots', snapshotKey(decryptedToken, match.timestamp));
+    if (!snapshot) {
+      return res.status(404).json({ error: 'Snapshot not found' });
+    }
+
+    const rewritten = await rewriteImageUrls(snapshot.data, decryptedToken);
+    rewritten.snapshot = { timestamp: snapshot.timestamp, date: new Date(snapshot.timestamp).toISOString() };
+    res.json(rewritten);
+  } catch (error) {
+    console.error('Error reading album snapshot:', error);
+    res.status(500).json({ error: 'Failed to read album snapshot', message: error.message });
+  }
+});
+
+// Route to list photos pinned in an album's archive (admin)
+app.get('/api/album/:token/archive', requireAdmin, async (req, res) => {
+  try {
+    let decryptedToken;
+    try {
+      decryptedToken = decryptToken(req.params.token);
+    } catch (error) {
+      return res.status(400).json({ error: 'Invalid token' });
+    }
+
+    const index = await getSnapshotIndex(decryptedToken);
+    res.json({
+      photos: Object.values(index.archive).map(entry => ({ ...entry.photo, pinnedAt: entry.pinnedAt }))
+    });
+  } catch (error) {
+    console.error('Error reading album archive:', error);
+    res.status(500).json({ error: 'Failed to read album archive', message: error.message });
+  }
+});
+
+// Route to pin a photo into an album's archive (admin)
+// The photo is taken from the current album or, if it was removed, the latest snapshot that contains it
+app.post('/api/album/:token/archive/:photoGuid', requireAdmin, async (req, res) => {
+  try {
+    const { token, photoGuid } = req.params;
+
+    let decryptedToken;
+    try {
+      decryptedToken = decryptToken(token);
+    } catch (error) {
+      return res.status(400).json({ error: 'Invalid token' });
+    }
+
+    const index = await getSnapshotIndex(decryptedToken);
+    if (index.archive[photoGuid]) {
+      return res.json({ pinned: true, photoGuid });
+    }
+
+    let photo = null;
+    const cached = await getCachedData(decryptedToken);
+    if (cached && cached.data && Array.isArray(cached.data.photos)) {
+      photo = cached.data.photos.find(p => p && p.photoGuid === photoGuid);
+    }
+    for (let i = index.snapshots.length - 1; i >= 0 && !photo; i--) {
+      const snapshot = await readCacheJSON('snapshots', snapshotKey(decryptedToken, index.snapshots[i].timestamp));
+      photo = snapshot?.data?.photos?.find(p => p && p.photoGuid === photoGuid) || null;
+    }
+
+    if (!photo) {
+      return res.status(404).json({ error: 'Photo not found in album or snapshots' });
     }
 
-    // Cache miss - fetch from iCloud
-    console.log(`Cache miss for album: ${finalDecryptedToken}, fetching from iCloud...`);
-    const data = await getImages(finalDecryptedToken);
+    await pinPhotoToArchive(decryptedToken, photo, index);
+    await writeCacheJSON('snapshots', snapshotIndexKey(decryptedToken), index);
+    res.json({ pinned: true, photoGuid });
+  } catch (error) {
+    console.error('Error pinning photo to archive:', error);
+    res.status(500).json({ error: 'Failed to pin photo', message: error.message });
+  }
+});
 
-    // Store original data in cache (before rewriting URLs)
-    await setCachedData(cacheKey, data, false);
+// Route to unpin a photo from an album's archive (admin) - its images become eligible for cleanup again
+app.delete('/api/album/:token/archive/:photoGuid', requireAdmin, async (req, res) => {
+  try {
+    const { token, photoGuid } = req.params;
 
-    // Trigger video augmentation processing for all videos in background (with queue)
-    if (data.photos && Array.isArray(data.photos)) {
-      data.photos.forEach(photo => {
-        if (isVideo(photo)) {
-          const videoUrl = getVideoUrl(photo);
-          if (videoUrl) {
-            // Queue for processing (don't await)
-            queueVideoProcessing(finalDecryptedToken, photo.photoGuid, videoUrl)
-              .then(augmentation => {
-                if (augmentation) {
-                  console.log(`Background video augmentation complete for ${photo.photoGuid}`);
-                }
-              })
-              .catch(err => {
-                console.error(`Background video augmentation failed for ${photo.photoGuid}:`, err);
-              });
-          }
-        }
-      });
+    let decryptedToken;
+    try {
+      decryptedToken = decryptToken(token);
+    } catch (error) {
+      return res.status(400).json({ error: 'Invalid token' });
     }
 
-    // Rewrite URLs to use proxy (strip EXIF) for response
-    const rewritten = await rewriteImageUrls(data, finalDecryptedToken);
-    rewritten.reloading = false;
-
-    // Track this token for background refresh
-    trackTokenForRefresh(finalDecryptedToken);
+    const index = await getSnapshotIndex(decryptedToken);
+    if (!index.archive[photoGuid]) {
+      return res.status(404).json({ error: 'Photo is not in the archive' });
+    }
 
-    res.json(rewritten);
+    delete index.archive[photoGuid];
+    await writeCacheJSON('snapshots', snapshotIndexKey(decryptedToken), index);
+    res.json({ pinned: false, photoGuid });
   } catch (error) {
-    console.error('Error fetching album:', error);
-    res.status(500).json({
-      error: 'Failed to fetch album',
-      message: error.message
-    });
+    console.error('Error unpinning photo from archive:', error);
+    res.status(500).json({ error: 'Failed to unpin photo', message: error.message });
   }
 });
 
-// Generate composite icon from 4 oldest images
+// Generate composite icon from 4 oldest images (returns PNG buffer or null)
 async function generateAlbumIcon(decryptedToken) {
   try {
-    const iconFile = path.join(ICONS_CACHE_DIR, `${sanitizeToken(decryptedToken)}.png`);
+    const iconKey = `${sanitizeToken(decryptedToken)}.png`;
 
     // Check if icon already exists
-    if (existsSync(iconFile)) {
-      const stats = await fs.stat(iconFile);
+    const stats = await storage.stat('icons', iconKey);
+    if (stats) {
       const age = Date.now() - stats.mtimeMs;
       // Cache icon for 7 days
       if (age < 7 * 24 * 60 * 60 * 1000) {
-        console.log(`Serving cached icon for token: ${decryptedToken.substring(0, 10)}...`);
-        return iconFile;
+        const cachedIcon = await storage.get('icons', iconKey);
+        if (cachedIcon) {
+          // The icon's mtime is its generation time, so only the access time moves
+          storage.touch('icons', iconKey, { accessOnly: true }).catch(() => { });
+          recordCacheLookup('icons', true);
+          console.log(`Serving cached icon for token: ${decryptedToken.substring(0, 10)}...`);
+          return cachedIcon;
+        }
       }
     }
 
+    recordCacheLookup('icons', false);
     console.log(`Generating icon for token: ${decryptedToken.substring(0, 10)}...`);
 
     // Get album data
@@ -1189,7 +4414,7 @@ async function generateAlbumIcon(decryptedToken) {
 
       try {
         // Fetch and resize image to 90x90 (for 180x180 icon, 2x2 grid)
-        const response = await fetch(imageUrl);
+        const response = await upstreamFetch(imageUrl);
         if (!response.ok) {
           return null;
         }
@@ -1239,9 +4464,9 @@ async function generateAlbumIcon(decryptedToken) {
       .png()
       .toBuffer();
 
-    await fs.writeFile(iconFile, composite);
-    console.log(`Icon generated successfully: ${iconFile}`);
-    return iconFile;
+    await storage.set('icons', iconKey, composite);
+    console.log(`Icon generated successfully: ${iconKey}`);
+    return composite;
   } catch (error) {
     console.error('Error generating album icon:', error);
     console.error('Stack:', error.stack);
@@ -1324,24 +4549,23 @@ app.get(/^\/api\/icon\/(.+)$/, async (req, res) => {
     }
 
     // Generate or get cached icon
-    const iconFile = await generateAlbumIcon(decryptedToken);
+    const iconBuffer = await generateAlbumIcon(decryptedToken);
 
-    if (!iconFile || !existsSync(iconFile)) {
+    if (!iconBuffer) {
       // Fallback to default icon if generation failed
       const defaultIconPath = path.join(__dirname, 'public', 'apple-touch-icon.png');
       if (existsSync(defaultIconPath)) {
         console.log(`Serving default icon for token: ${decryptedToken.substring(0, 10)}...`);
-        const iconBuffer = await fs.readFile(defaultIconPath);
+        const defaultIconBuffer = await fs.readFile(defaultIconPath);
         res.set('Content-Type', 'image/png');
         res.set('Cache-Control', 'public, max-age=604800'); // Cache for 7 days
-        return res.send(iconBuffer);
+        return res.send(defaultIconBuffer);
       }
       // If no default icon, return 404
       console.error(`Icon not found and no default icon available for token: ${decryptedToken.substring(0, 10)}...`);
       return res.status(404).json({ error: 'Icon not found' });
     }
 
-    const iconBuffer = await fs.readFile(iconFile);
     res.set('Content-Type', 'image/png');
     res.set('Cache-Control', 'public, max-age=604800'); // Cache for 7 days
     res.send(iconBuffer);
@@ -1374,12 +4598,12 @@ app.get('/api/badge-check/:token', async (req, res) => {
 
     // Get cached data (don't force refresh for badge checks)
     const cached = await getCachedData(decryptedToken);
-    if (cached && cached.photos) {
-      return res.json({ photoCount: cached.photos.length });
+    if (cached && cached.data && cached.data.photos) {
+      return res.json({ photoCount: cached.data.photos.length });
     }
 
-    // If no cache, fetch minimal data
-    const data = await getImages(decryptedToken);
+    // If no cache, fetch the album (shared with any concurrent requests for it)
+    const data = await fetchAlbum(decryptedToken);
     return res.json({ photoCount: data.photos?.length || 0 });
   } catch (error) {
     console.error('Error in badge check:', error);
@@ -1387,30 +4611,114 @@ app.get('/api/badge-check/:token', async (req, res) => {
   }
 });
 
+// ============================================
+// BACKGROUND REFRESH REGISTRY
+// ============================================
+// The tracked albums live in recentlyAccessedTokens and are saved to storage (debounced) so a restart
+// keeps refreshing them. Each album's refreshPolicy/refreshInterval settings decide when it is refreshed:
+//   auto   - refreshed while it has been accessed within TOKEN_ACCESS_TTL (the default)
+//   pinned - always refreshed and never dropped from the registry
+//   never  - kept in the registry but never refreshed in the background
+
+const REFRESH_REGISTRY_KEY = 'refresh-registry.json';
+const REFRESH_REGISTRY_SAVE_DELAY = 5000;
+let refreshRegistrySaveTimer = null;
+
+async function loadRefreshRegistry() {
+  const saved = await readCacheJSON('registry', REFRESH_REGISTRY_KEY);
+  if (saved && Array.isArray(saved.albums)) {
+    saved.albums.forEach(entry => {
+      if (entry && entry.decryptedToken) {
+        recentlyAccessedTokens.set(entry.decryptedToken, entry);
+      }
+    });
+    console.log(`Loaded ${recentlyAccessedTokens.size} album(s) from the refresh registry`);
+  }
+}
+
+async function saveRefreshRegistry() {
+  try {
+    await writeCacheJSON('registry', REFRESH_REGISTRY_KEY, {
+      savedAt: Date.now(),
+      albums: Array.from(recentlyAccessedTokens.values())
+    });
+  } catch (error) {
+    console.error('Error saving refresh registry:', error);
+  }
+}
+
+// Save the registry shortly after it changes (album accesses can be frequent)
+function scheduleRefreshRegistrySave() {
+  if (refreshRegistrySaveTimer) {
+    return;
+  }
+  refreshRegistrySaveTimer = setTimeout(() => {
+    refreshRegistrySaveTimer = null;
+    saveRefreshRegistry();
+  }, REFRESH_REGISTRY_SAVE_DELAY);
+}
+
+await loadRefreshRegistry().catch(err => {
+  console.error('Error loading refresh registry:', err);
+});
+
 // Track token for background refresh (uses decrypted token as key)
 function trackTokenForRefresh(decryptedToken) {
-  // Update or add token to tracking map (use decrypted token as key)
+  // Update or add token to tracking map (use decrypted token as key), keeping its refresh history
+  const existing = recentlyAccessedTokens.get(decryptedToken);
   recentlyAccessedTokens.set(decryptedToken, {
+    policy: 'auto',
+    lastRefreshAt: null,
+    lastRefreshResult: null,
+    lastRefreshError: null,
+    ...existing,
     lastAccessed: Date.now(),
     decryptedToken: decryptedToken
   });
 
-  // Clean up old tokens if we exceed max
+  // Clean up old tokens if we exceed max (pinned albums are never dropped)
   if (recentlyAccessedTokens.size > MAX_TRACKED_TOKENS) {
-    const now = Date.now();
-    const entries = Array.from(recentlyAccessedTokens.entries());
+    const entries = Array.from(recentlyAccessedTokens.entries())
+      .filter(([, info]) => info.policy !== 'pinned');
     entries.sort((a, b) => a[1].lastAccessed - b[1].lastAccessed);
 
     // Remove oldest tokens until we're under the limit
-    const toRemove = entries.slice(0, entries.length - MAX_TRACKED_TOKENS);
+    const toRemove = entries.slice(0, recentlyAccessedTokens.size - MAX_TRACKED_TOKENS);
     toRemove.forEach(([token]) => recentlyAccessedTokens.delete(token));
   }
+
+  scheduleRefreshRegistrySave();
+}
+
+// Apply an album's refresh policy to the registry (pinned albums are tracked even if never visited)
+async function syncRefreshPolicy(decryptedToken) {
+  const settings = await getAlbumSettings(decryptedToken);
+  const entry = recentlyAccessedTokens.get(decryptedToken);
+  if (entry) {
+    entry.policy = settings.refreshPolicy;
+  } else if (settings.refreshPolicy === 'pinned') {
+    recentlyAccessedTokens.set(decryptedToken, {
+      decryptedToken,
+      lastAccessed: null,
+      policy: 'pinned',
+      lastRefreshAt: null,
+      lastRefreshResult: null,
+      lastRefreshError: null
+    });
+  }
+  scheduleRefreshRegistrySave();
+}
+
+function getRefreshInterval(settings) {
+  return settings.refreshInterval ? settings.refreshInterval * 60 * 1000 : DEFAULT_REFRESH_INTERVAL;
 }
 
 // Background refresh function for a single token
 async function refreshTokenInBackground(decryptedToken) {
+  const entry = recentlyAccessedTokens.get(decryptedToken);
+  const startedAt = Date.now();
   try {
-    const freshData = await getImages(decryptedToken);
+    const freshData = await fetchAlbum(decryptedToken);
 
     // Trigger video augmentation processing for all videos in background
     if (freshData.photos && Array.isArray(freshData.photos)) {
@@ -1433,35 +4741,48 @@ async function refreshTokenInBackground(decryptedToken) {
       });
     }
 
-    const freshRewritten = await rewriteImageUrls(freshData, decryptedToken);
-    await setCachedData(decryptedToken, freshRewritten, false);
+    if (entry) {
+      Object.assign(entry, { lastRefreshAt: startedAt, lastRefreshResult: 'success', lastRefreshError: null });
+    }
     console.log(`Background refresh complete for album: ${decryptedToken}`);
     return true;
   } catch (error) {
+    if (entry) {
+      Object.assign(entry, { lastRefreshAt: startedAt, lastRefreshResult: 'failed', lastRefreshError: error.message });
+    }
     console.error(`Background refresh failed for album ${decryptedToken}:`, error.message);
     return false;
   }
 }
 
-// Scheduled job to refresh recently accessed tokens
-schedule.scheduleJob('*/30 * * * *', async () => {
-  // Run every 30 minutes
+// Scheduled job to refresh tracked albums that are due, according to their refresh policy
+schedule.scheduleJob('*/5 * * * *', async () => {
+  // Run every 5 minutes (the shortest allowed refreshInterval)
   const now = Date.now();
   const tokensToRefresh = [];
 
-  // Collect tokens that should be refreshed (recently accessed and not too old)
   for (const [decryptedToken, info] of recentlyAccessedTokens.entries()) {
-    const age = now - info.lastAccessed;
-    if (age < TOKEN_ACCESS_TTL) {
-      tokensToRefresh.push(decryptedToken);
-    } else {
-      // Remove old tokens
+    const settings = await getAlbumSettings(decryptedToken);
+    info.policy = settings.refreshPolicy;
+
+    if (info.policy === 'never') {
+      continue;
+    }
+
+    // Remove tokens that haven't been accessed recently (unless pinned)
+    if (info.policy !== 'pinned' && now - (info.lastAccessed || 0) >= TOKEN_ACCESS_TTL) {
       recentlyAccessedTokens.delete(decryptedToken);
+      continue;
+    }
+
+    // Leave a minute of slack so a job run doesn't just miss an interval
+    if (!info.lastRefreshAt || now - info.lastRefreshAt >= getRefreshInterval(settings) - 60 * 1000) {
+      tokensToRefresh.push(decryptedToken);
     }
   }
 
   if (tokensToRefresh.length === 0) {
-    console.log('No tokens to refresh');
+    scheduleRefreshRegistrySave();
     return;
   }
 
@@ -1483,9 +4804,294 @@ schedule.scheduleJob('*/30 * * * *', async () => {
     }
   }
 
+  await saveRefreshRegistry();
   console.log(`Background refresh completed for ${tokensToRefresh.length} token(s)`);
 });
 
+// Route to list albums tracked for background refresh (admin)
+app.get('/api/refresh-registry', requireAdmin, async (req, res) => {
+  try {
+    const albums = [];
+    for (const info of recentlyAccessedTokens.values()) {
+      const settings = await getAlbumSettings(info.decryptedToken);
+      const interval = getRefreshInterval(settings);
+      albums.push({
+        token: info.decryptedToken,
+        policy: settings.refreshPolicy,
+        refreshInterval: interval,
+        lastAccessed: info.lastAccessed,
+        lastRefreshAt: info.lastRefreshAt,
+        lastRefreshResult: info.lastRefreshResult,
+        lastRefreshError: info.lastRefreshError,
+        // Albums that were never refreshed are due on the next scheduler run
+        nextRefreshAt: settings.refreshPolicy === 'never' ? null : (info.lastRefreshAt ? info.lastRefreshAt + interval : Date.now())
+      });
+    }
+    albums.sort((a, b) => (b.lastAccessed || 0) - (a.lastAccessed || 0));
+    res.json({ albums });
+  } catch (error) {
+    console.error('Error listing refresh registry:', error);
+    res.status(500).json({ error: 'Failed to list refresh registry', message: error.message });
+  }
+});
+
+// ============================================
+// CACHE ADMINISTRATION
+// ============================================
+// Admin endpoints for inspecting and managing the cache without touching CACHE_DIR by hand:
+//   GET    /api/cache/stats                     - entries and bytes per namespace, hit rates, image pool
+//   GET    /api/cache/albums                    - cached albums with their age and staleness
+//   DELETE /api/cache/albums/:token             - purge an album and everything derived from it
+//   POST   /api/cache/albums/:token/refresh     - fetch an album from iCloud now
+//   DELETE /api/cache/augmentations/skipped     - clear skipped video augmentations (?token= for one album)
+
+// Entry count and total size of a storage namespace
+async function getNamespaceUsage(namespace) {
+  const keys = await storage.list(namespace);
+  let bytes = 0;
+  for (const key of keys) {
+    const stats = await storage.stat(namespace, key).catch(() => null);
+    bytes += stats ? stats.size : 0;
+  }
+  return { entries: keys.length, bytes };
+}
+
+async function getTmpUsage() {
+  const files = await fs.readdir(TMP_DIR).catch(() => []);
+  let entries = 0;
+  let bytes = 0;
+  for (const file of files) {
+    const stats = await fs.stat(path.join(TMP_DIR, file)).catch(() => null);
+    if (stats && stats.isFile()) {
+      entries++;
+      bytes += stats.size;
+    }
+  }
+  return { entries, bytes };
+}
+
+function parseAdminToken(req, res) {
+  try {
+    return decryptToken(req.params.token);
+  } catch (error) {
+    res.status(400).json({ error: 'Invalid token' });
+    return null;
+  }
+}
+
+// Remove an album's cached JSON and everything derived from it: its image and video mappings (including
+// watermarked IDs and video previews), processed images, cached videos, icon and video augmentations.
+// Media pinned in an archive is kept, as are the album's settings, change log and snapshots.
+async function purgeAlbumCache(decryptedToken) {
+  const safeToken = sanitizeToken(decryptedToken);
+  const purged = { album: false, mappings: 0, images: 0, videos: 0, videoPreviews: 0, icons: 0, augmentations: 0 };
+
+  const cached = await getCachedData(decryptedToken);
+  const albumUrls = new Set();
+  (cached?.data?.photos || []).forEach(photo => {
+    Object.values((photo && photo.derivatives) || {}).forEach(derivative => {
+      if (derivative && typeof derivative.url === 'string') {
+        albumUrls.add(derivative.url);
+      }
+    });
+  });
+
+  await syncMappingLog();
+  const pinnedIds = new Set([...(await getPinnedMediaKeys())].map(key => key.split('.')[0]));
+  const previewUrlPrefix = generatedUrl('video-previews', `${safeToken}_`);
+  const secureIds = new Set();
+  mappingIndex.forEach((mapping, id) => {
+    const derived = albumUrls.has(mapping.url) || mapping.watermark === decryptedToken ||
+      (mapping.url || '').startsWith(previewUrlPrefix);
+    if (derived && !pinnedIds.has(id)) {
+      secureIds.add(id);
+    }
+  });
+  // Images served with signed URLs are stored under IDs derived from their URL
+  albumUrls.forEach(url => [null, decryptedToken].forEach(watermarkAlbum => {
+    const id = signedImageId(url, watermarkAlbum);
+    if (!pinnedIds.has(id)) {
+      secureIds.add(id);
+    }
+  }));
+  const storedIds = [...secureIds].filter(id => mappingIndex.has(id));
+  if (storedIds.length > 0) {
+    await recordMappings(storedIds.map(id => ({ id, deleted: true })));
+    purged.mappings = storedIds.length;
+  }
+
+  const deleteMatching = async (namespace, matches) => {
+    let count = 0;
+    for (const key of await storage.list(namespace)) {
+      if (matches(key)) {
+        await storage.delete(namespace, key);
+        count++;
+      }
+    }
+    return count;
+  };
+  purged.images = await deleteMatching('images', key => secureIds.has(key.split('.')[0]));
+  purged.videos = await deleteMatching('videos', key => secureIds.has(key.split('.')[0]));
+  purged.videoPreviews = await deleteMatching('video-previews', key => key.startsWith(`${safeToken}_`));
+  purged.icons = await deleteMatching('icons', key => key === `${safeToken}.png`);
+  purged.augmentations = await deleteMatching('video-augmentations', key => key.startsWith(`${decryptedToken}_`));
+
+  if (cached) {
+    await storage.delete('albums', `${safeToken}.json`);
+    purged.album = true;
+  }
+  reloadingState.delete(decryptedToken);
+  prewarmProgress.delete(decryptedToken);
+
+  return purged;
+}
+
+// Route to show cache statistics (admin)
+app.get('/api/cache/stats', requireAdmin, async (req, res) => {
+  try {
+    const namespaces = {};
+    for (const namespace of Object.keys(CACHE_NAMESPACES)) {
+      const lookups = cacheLookups[namespace];
+      namespaces[namespace] = {
+        ...(await getNamespaceUsage(namespace)),
+        ...(lookups && {
+          hits: lookups.hits,
+          misses: lookups.misses,
+          hitRate: lookups.hits / (lookups.hits + lookups.misses)
+        })
+      };
+    }
+    const tmp = await getTmpUsage();
+    const totalBytes = Object.values(namespaces).reduce((total, usage) => total + usage.bytes, tmp.bytes);
+
+    res.json({
+      storage: storage.name,
+      totalBytes,
+      maxBytes: CACHE_MAX_BYTES || null,
+      namespaces,
+      tmp,
+      mappings: mappingIndex.size,
+      lookupsSince: cacheLookupsSince,
+      imagePool: {
+        concurrency: IMAGE_PROCESSING_CONCURRENCY,
+        running: runningImageJobs,
+        queued: Object.fromEntries(IMAGE_PRIORITIES.map((priority, i) => [priority, imageJobQueues[i].length]))
+      }
+    });
+  } catch (error) {
+    console.error('Error reading cache stats:', error);
+    res.status(500).json({ error: 'Failed to read cache stats', message: error.message });
+  }
+});
+
+// Route to list cached albums with their age and staleness (admin)
+app.get('/api/cache/albums', requireAdmin, async (req, res) => {
+  try {
+    const now = Date.now();
+    const trackedBySafeToken = new Map();
+    recentlyAccessedTokens.forEach(info => trackedBySafeToken.set(sanitizeToken(info.decryptedToken), info));
+
+    const albums = [];
+    for (const key of await storage.list('albums')) {
+      if (!key.endsWith('.json')) {
+        continue; // e.g. fetch leases left by older versions
+      }
+      const cached = await readCacheJSON('albums', key);
+      if (!cached) {
+        continue;
+      }
+      const safeToken = key.slice(0, -'.json'.length);
+      const tracked = trackedBySafeToken.get(safeToken);
+      const stats = await storage.stat('albums', key);
+      albums.push({
+        token: tracked ? tracked.decryptedToken : safeToken,
+        name: cached.data?.metadata?.streamName || null,
+        photoCount: Array.isArray(cached.data?.photos) ? cached.data.photos.length : 0,
+        cachedAt: cached.timestamp,
+        age: now - cached.timestamp,
+        stale: now - cached.timestamp > CACHE_TTL,
+        reloading: Boolean(cached.reloading),
+        bytes: stats ? stats.size : null,
+        refreshPolicy: tracked ? tracked.policy : null,
+        lastAccessed: tracked ? tracked.lastAccessed : null
+      });
+    }
+    albums.sort((a, b) => b.cachedAt - a.cachedAt);
+    res.json({ cacheTtl: CACHE_TTL, albums });
+  } catch (error) {
+    console.error('Error listing cached albums:', error);
+    res.status(500).json({ error: 'Failed to list cached albums', message: error.message });
+  }
+});
+
+// Route to purge an album and everything derived from it (admin)
+app.delete('/api/cache/albums/:token', requireAdmin, async (req, res) => {
+  const decryptedToken = parseAdminToken(req, res);
+  if (!decryptedToken) {
+    return;
+  }
+  try {
+    const purged = await purgeAlbumCache(decryptedToken);
+    console.log(`Purged cache for album ${decryptedToken}:`, purged);
+    res.json({ token: decryptedToken, purged });
+  } catch (error) {
+    console.error('Error purging album cache:', error);
+    res.status(500).json({ error: 'Failed to purge album cache', message: error.message });
+  }
+});
+
+// Route to fetch an album from iCloud now, replacing its cached copy (admin)
+app.post('/api/cache/albums/:token/refresh', requireAdmin, async (req, res) => {
+  const decryptedToken = parseAdminToken(req, res);
+  if (!decryptedToken) {
+    return;
+  }
+  try {
+    const data = await fetchAlbum(decryptedToken);
+    res.json({
+      token: decryptedToken,
+      refreshedAt: Date.now(),
+      photoCount: Array.isArray(data.photos) ? data.photos.length : 0
+    });
+  } catch (error) {
+    console.error(`Error force-refreshing album ${decryptedToken}:`, error);
+    if (isUpstreamUnavailable(error)) {
+      return res.status(503).json({ error: 'Upstream unavailable', message: error.message });
+    }
+    res.status(500).json({ error: 'Failed to refresh album', message: error.message });
+  }
+});
+
+// Route to clear skipped video augmentations so they are retried (admin)
+app.delete('/api/cache/augmentations/skipped', requireAdmin, async (req, res) => {
+  let decryptedToken = null;
+  if (req.query.token) {
+    try {
+      decryptedToken = decryptToken(req.query.token);
+    } catch (error) {
+      return res.status(400).json({ error: 'Invalid token' });
+    }
+  }
+  try {
+    const cleared = [];
+    for (const key of await storage.list('video-augmentations')) {
+      if (decryptedToken && !key.startsWith(`${decryptedToken}_`)) {
+        continue;
+      }
+      const augmentation = await readCacheJSON('video-augmentations', key);
+      if (augmentation && augmentation.skipped) {
+        await storage.delete('video-augmentations', key);
+        cleared.push(key.replace(/\.json$/, ''));
+      }
+    }
+    console.log(`Cleared ${cleared.length} skipped video augmentation(s)`);
+    res.json({ cleared: cleared.length, keys: cleared });
+  } catch (error) {
+    console.error('Error clearing skipped augmentations:', error);
+    res.status(500).json({ error: 'Failed to clear skipped augmentations', message: error.message });
+  }
+});
+
 // Serve landing page at root
 app.get('/', (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'landing.html'));
@@ -1646,8 +5252,8 @@ async function extractAudioFromVideo(videoUrl, outputPath) {
   try {
     // Download video file
     console.log(`Downloading video from: ${videoUrl.substring(0, 80)}...`);
-    const response = await fetch(videoUrl, {
-      signal: AbortSignal.timeout(60000) // 60 second timeout for download
+    const response = await upstreamFetch(videoUrl, {
+      timeout: 60000 // 60 second timeout per download attempt
     });
     if (!response.ok) {
       // If 401/403, the URL might be expired - throw a specific error
@@ -1846,16 +5452,12 @@ Please use the following similarity value for this request: 89.`;
 // Process video augmentation: extract audio, transcribe, blogify
 async function processVideoAugmentation(albumToken, photoGuid, videoUrl) {
   const cacheKey = `${albumToken}_${photoGuid}`;
-  const cacheFile = path.join(VIDEO_AUGMENTATIONS_CACHE_DIR, `${cacheKey}.json`);
+  const augmentationKey = `${cacheKey}.json`;
 
   // Check if already cached
-  if (existsSync(cacheFile)) {
-    try {
-      const cached = await fs.readFile(cacheFile, 'utf-8');
-      return JSON.parse(cached);
-    } catch (e) {
-      console.warn('Error reading cached augmentation, reprocessing...', e);
-    }
+  const cached = await readCacheJSON('video-augmentations', augmentationKey);
+  if (cached) {
+    return cached;
   }
 
   // Check video duration and skip if too short (< 10 seconds)
@@ -1871,7 +5473,7 @@ async function processVideoAugmentation(albumToken, photoGuid, videoUrl) {
       duration,
       processedAt: new Date().toISOString()
     };
-    await fs.writeFile(cacheFile, JSON.stringify(skippedAugmentation, null, 2), 'utf-8');
+    await writeCacheJSON('video-augmentations', augmentationKey, skippedAugmentation);
     return skippedAugmentation;
   }
 
@@ -1896,7 +5498,7 @@ async function processVideoAugmentation(albumToken, photoGuid, videoUrl) {
           error: extractError.message,
           processedAt: new Date().toISOString()
         };
-        await fs.writeFile(cacheFile, JSON.stringify(skippedAugmentation, null, 2), 'utf-8');
+        await writeCacheJSON('video-augmentations', augmentationKey, skippedAugmentation);
         return skippedAugmentation;
       }
 
@@ -1933,7 +5535,7 @@ async function processVideoAugmentation(albumToken, photoGuid, videoUrl) {
         transcriptionLength: transcription?.length || 0,
         processedAt: new Date().toISOString()
       };
-      await fs.writeFile(cacheFile, JSON.stringify(skippedAugmentation, null, 2), 'utf-8');
+      await writeCacheJSON('video-augmentations', augmentationKey, skippedAugmentation);
       return skippedAugmentation;
     }
 
@@ -1987,7 +5589,7 @@ async function processVideoAugmentation(albumToken, photoGuid, videoUrl) {
         markerPercentage: markerPercentage * 100,
         processedAt: new Date().toISOString()
       };
-      await fs.writeFile(cacheFile, JSON.stringify(skippedAugmentation, null, 2), 'utf-8');
+      await writeCacheJSON('video-augmentations', augmentationKey, skippedAugmentation);
       return skippedAugmentation;
     }
 
@@ -2012,7 +5614,7 @@ async function processVideoAugmentation(albumToken, photoGuid, videoUrl) {
           meaningfulWordCount,
           processedAt: new Date().toISOString()
         };
-        await fs.writeFile(cacheFile, JSON.stringify(skippedAugmentation, null, 2), 'utf-8');
+        await writeCacheJSON('video-augmentations', augmentationKey, skippedAugmentation);
         return skippedAugmentation;
       }
       throw blogifyError; // Re-throw other errors
@@ -2030,7 +5632,7 @@ async function processVideoAugmentation(albumToken, photoGuid, videoUrl) {
     };
 
     // Save to cache
-    await fs.writeFile(cacheFile, JSON.stringify(augmentation, null, 2), 'utf-8');
+    await writeCacheJSON('video-augmentations', augmentationKey, augmentation);
 
     // Clean up temporary audio file
     await fs.unlink(audioPath).catch(() => { });
@@ -2049,10 +5651,8 @@ async function processVideoAugmentation(albumToken, photoGuid, videoUrl) {
       error.message.includes('fetch failed') ||
       error.message.includes('timeout')
     )) {
-      // Delete any existing cache file so it can be retried
-      if (existsSync(cacheFile)) {
-        await fs.unlink(cacheFile).catch(() => { });
-      }
+      // Delete any existing cache entry so it can be retried
+      await storage.delete('video-augmentations', augmentationKey).catch(() => { });
       console.log(`Video augmentation failed with transient error for ${photoGuid}, cache cleared for retry`);
     }
 
@@ -2075,25 +5675,21 @@ app.get('/api/video-augmentation/:albumToken/:photoGuid', async (req, res) => {
     }
 
     const cacheKey = `${decryptedToken}_${photoGuid}`;
-    const cacheFile = path.join(VIDEO_AUGMENTATIONS_CACHE_DIR, `${cacheKey}.json`);
 
     // Check cache first
-    if (existsSync(cacheFile)) {
-      try {
-        const cached = await fs.readFile(cacheFile, 'utf-8');
-        const cachedData = JSON.parse(cached);
-        // Return cached data (including skipped state)
-        return res.json(cachedData);
-      } catch (e) {
-        console.error('Error reading cached augmentation:', e);
-      }
+    const cachedData = await readCacheJSON('video-augmentations', `${cacheKey}.json`);
+    recordCacheLookup('video-augmentations', Boolean(cachedData));
+    if (cachedData) {
+      storage.touch('video-augmentations', `${cacheKey}.json`, { accessOnly: true }).catch(() => { });
+      // Return cached data (including skipped state)
+      return res.json(cachedData);
     }
 
     // If not cached, automatically trigger processing in background
     // (Don't require ?process=true - just do it automatically)
     try {
       // Get album data to find the video
-      const albumData = await getImages(decryptedToken);
+      const albumData = await fetchAlbum(decryptedToken);
       const photo = albumData.photos?.find(p => p.photoGuid === photoGuid);
 
       if (!photo || !isVideo(photo)) {
@@ -2136,6 +5732,288 @@ app.get('/api/video-augmentation/:albumToken/:photoGuid', async (req, res) => {
   }
 });
 
+// ============================================
+// ALBUM EXPORT (ZIP)
+// ============================================
+// Streams a ZIP with every photo (processed the same way as the image proxy, reusing cached
+// images), the videos, metadata.json and any cached video augmentations. Progress of a running
+// export can be polled with the export ID sent in the X-Export-Id header (or passed as ?exportId=).
+
+const MAX_CONCURRENT_EXPORTS = parseInt(process.env.MAX_CONCURRENT_EXPORTS || '2', 10);
+const EXPORT_PROGRESS_TTL = 60 * 60 * 1000; // Keep finished export progress for 1 hour
+const exportProgress = new Map(); // exportId -> progress object
+
+// Resolve a derivative URL (original or already proxied) to the original iCloud URL
+async function resolveOriginalUrl(url) {
+  if (url && url.startsWith('/api/image/')) {
+    return getImageUrl(url.replace('/api/image/', '').replace('.jpg', ''));
+  }
+  if (url && url.startsWith('/api/video/')) {
+    return getImageUrl(url.replace('/api/video/', '').replace('.mp4', ''));
+  }
+  return url;
+}
+
+// Get the processed (EXIF-stripped) image for an original URL, from the image cache if possible
+// (with the album's watermark, if it has one). Resolves to { buffer, extension }.
+async function getProcessedImage(originalUrl, decryptedToken) {
+  const watermark = await getAlbumWatermark(decryptedToken);
+  const variant = watermark ? watermark.variant : null;
+  const [secureId] = await getImageReferences([originalUrl], watermark ? decryptedToken : null);
+  const mapping = await getImageMapping(secureId);
+  const format = chooseImageFormat(mapping && mapping.source, null, watermark);
+  const imageKey = imageCacheKey(secureId, format, null, variant);
+
+  const cached = await storage.get('images', imageKey);
+  if (cached) {
+    storage.touch('images', imageKey).catch(() => { });
+    return { buffer: cached, extension: IMAGE_ENCODINGS[format].extension };
+  }
+
+  const processed = await runImageJob(imageKey, 'low', () => processImageVariant(secureId, originalUrl, null, null, watermark));
+  return { buffer: processed.buffer, extension: IMAGE_ENCODINGS[processed.format].extension };
+}
+
+// Append an entry and wait until the archive has consumed it (keeps memory bounded for large albums).
+// Aborting `signal` rejects the wait and destroys a stream source (cancelling an upstream download).
+function appendToArchive(archive, source, name, signal) {
+  return new Promise((resolve, reject) => {
+    const cleanup = () => {
+      archive.off('entry', onEntry);
+      archive.off('error', onError);
+      signal.removeEventListener('abort', onAbort);
+    };
+    const onEntry = (entry) => {
+      if (entry.name === name) {
+        cleanup();
+        resolve();
+      }
+    };
+    const onError = (error) => {
+      cleanup();
+      reject(error);
+    };
+    const onAbort = () => {
+      cleanup();
+      if (source instanceof Readable) {
+        source.destroy();
+      }
+      reject(new Error(`EXPORT_ABORTED: ${name} was not added`));
+    };
+    if (signal.aborted) {
+      return onAbort();
+    }
+    archive.on('entry', onEntry);
+    archive.once('error', onError);
+    signal.addEventListener('abort', onAbort, { once: true });
+    archive.append(source, { name });
+  });
+}
+
+function getActiveExportCount() {
+  return Array.from(exportProgress.values()).filter(progress => progress.status === 'running').length;
+}
+
+// Remove finished exports from the progress map once they are old enough
+function pruneExportProgress() {
+  const now = Date.now();
+  for (const [exportId, progress] of exportProgress) {
+    if (progress.status !== 'running' && now - progress.updatedAt > EXPORT_PROGRESS_TTL) {
+      exportProgress.delete(exportId);
+    }
+  }
+}
+
+// Route to export a whole album as a ZIP archive
+app.get('/api/album/:token/export.zip', async (req, res) => {
+  let decryptedToken;
+  try {
+    decryptedToken = decryptToken(req.params.token);
+  } catch (error) {
+    return res.status(400).json({ error: 'Invalid token' });
+  }
+
+  const exportId = req.query.exportId ? String(req.query.exportId) : crypto.randomBytes(8).toString('hex');
+  if (!/^[a-zA-Z0-9_-]{1,64}$/.test(exportId) || exportProgress.get(exportId)?.status === 'running') {
+    return res.status(400).json({ error: 'Invalid or duplicate export ID' });
+  }
+
+  pruneExportProgress();
+  if (getActiveExportCount() >= MAX_CONCURRENT_EXPORTS) {
+    return res.status(429).json({ error: 'Too many exports in progress, please try again later' });
+  }
+
+  const progress = {
+    exportId,
+    albumToken: decryptedToken,
+    status: 'running',
+    total: 0,
+    processed: 0,
+    failed: 0,
+    bytesWritten: 0,
+    startedAt: Date.now(),
+    updatedAt: Date.now()
+  };
+  exportProgress.set(exportId, progress);
+
+  const updateProgress = (changes) => {
+    Object.assign(progress, changes, { updatedAt: Date.now() });
+  };
+
+  // Stop working if the client goes away (even before the archive has started)
+  let archive;
+  const exportAbort = new AbortController();
+  res.on('close', () => {
+    if (progress.status === 'running' && !res.writableFinished) {
+      updateProgress({ status: 'aborted' });
+      exportAbort.abort();
+      if (archive) {
+        archive.abort();
+      }
+    }
+  });
+
+  try {
+    // Use the cached album if we have one, otherwise fetch it
+    const cached = await getCachedData(decryptedToken);
+    const albumData = cached && cached.data ? cached.data : await fetchAlbum(decryptedToken);
+    const photos = Array.isArray(albumData.photos) ? albumData.photos.filter(Boolean) : [];
+    if (exportAbort.signal.aborted) {
+      return;
+    }
+    updateProgress({ total: photos.length + 1 }); // +1 for metadata.json
+
+    const albumName = sanitizeToken(albumData.metadata?.streamName || 'album');
+    res.set('Content-Type', 'application/zip');
+    res.set('Content-Disposition', `attachment; filename="${albumName}.zip"`);
+    res.set('X-Export-Id', exportId);
+    res.set('Cache-Control', 'no-store');
+
+    // Photos and videos are already compressed, so store them without deflating
+    archive = archiver('zip', { store: true });
+    archive.on('warning', (warning) => console.warn('Export warning:', warning));
+    archive.on('progress', () => updateProgress({ bytesWritten: archive.pointer() }));
+    archive.pipe(res);
+
+    const items = [];
+    for (const [index, photo] of photos.entries()) {
+      if (exportAbort.signal.aborted) {
+        return;
+      }
+
+      const prefix = `${String(index + 1).padStart(4, '0')}-${sanitizeToken(photo.photoGuid || String(index))}`;
+      const item = {
+        photoGuid: photo.photoGuid,
+        type: isVideo(photo) ? 'video' : 'photo',
+        caption: photo.caption || null,
+        dateCreated: photo.dateCreated || null,
+        contributor: photo.contributorFullName || null,
+        files: []
+      };
+
+      try {
+        if (item.type === 'video') {
+          const videoUrl = await resolveOriginalUrl(getVideoUrl(photo));
+          if (!videoUrl) {
+            throw new Error('Video URL not found');
+          }
+          const response = await upstreamFetch(videoUrl);
+          if (!response.ok) {
+            throw new Error(`Failed to download video: ${response.status} ${response.statusText}`);
+          }
+          const videoName = `videos/${prefix}.mp4`;
+          await appendToArchive(archive, Readable.fromWeb(response.body), videoName, exportAbort.signal);
+          item.files.push(videoName);
+
+          // Include the transcript and blog post if the video has been augmented
+          const augmentation = await readCacheJSON('video-augmentations', `${decryptedToken}_${photo.photoGuid}.json`);
+          if (augmentation && !augmentation.skipped) {
+            if (augmentation.transcription) {
+              const transcriptName = `augmentations/${prefix}.transcript.txt`;
+              await appendToArchive(archive, augmentation.transcription, transcriptName, exportAbort.signal);
+              item.files.push(transcriptName);
+            }
+            if (augmentation.blog) {
+              const blogName = `augmentations/${prefix}.md`;
+              await appendToArchive(archive, augmentation.blog, blogName, exportAbort.signal);
+              item.files.push(blogName);
+            }
+          }
+        } else {
+          const best = getBestThumbnail(photo);
+          const originalUrl = best && await resolveOriginalUrl(best.url);
+          if (!originalUrl) {
+            throw new Error('Image URL not found');
+          }
+          const image = await getProcessedImage(originalUrl, decryptedToken);
+          const imageName = `photos/${prefix}.${image.extension}`;
+          await appendToArchive(archive, image.buffer, imageName, exportAbort.signal);
+          item.files.push(imageName);
+        }
+        updateProgress({ processed: progress.processed + 1 });
+      } catch (error) {
+        if (exportAbort.signal.aborted) {
+          return;
+        }
+        console.error(`Export: failed to add ${photo.photoGuid}:`, error.message);
+        item.error = error.message;
+        updateProgress({ processed: progress.processed + 1, failed: progress.failed + 1 });
+      }
+
+      items.push(item);
+    }
+
+    // Metadata last, so it can record which files made it into the archive
+    const { locations, ...metadata } = albumData.metadata || {};
+    const metadataJson = JSON.stringify({
+      exportedAt: new Date().toISOString(),
+      metadata,
+      items
+    }, null, 2);
+    await appendToArchive(archive, metadataJson, 'metadata.json', exportAbort.signal);
+    updateProgress({ processed: progress.processed + 1 });
+
+    await archive.finalize();
+    updateProgress({ status: 'complete', bytesWritten: archive.pointer() });
+    console.log(`Export ${exportId} complete for album: ${decryptedToken} (${progress.processed} items, ${progress.failed} failed)`);
+  } catch (error) {
+    if (exportAbort.signal.aborted) {
+      return; // The client is gone, nothing left to report to
+    }
+    console.error('Error exporting album:', error);
+    updateProgress({ status: 'failed', error: error.message });
+    if (!res.headersSent) {
+      return res.status(500).json({ error: 'Failed to export album', message: error.message });
+    }
+    // Headers are gone - abort so the client sees a truncated download rather than a valid ZIP
+    if (archive) {
+      archive.abort();
+    }
+    res.destroy(error);
+  }
+});
+
+// Route to get the progress of an album export
+app.get('/api/album/:token/export/:exportId', async (req, res) => {
+  let decryptedToken;
+  try {
+    decryptedToken = decryptToken(req.params.token);
+  } catch (error) {
+    return res.status(400).json({ error: 'Invalid token' });
+  }
+
+  const progress = exportProgress.get(req.params.exportId);
+  if (!progress || progress.albumToken !== decryptedToken) {
+    return res.status(404).json({ error: 'Export not found' });
+  }
+
+  const { albumToken, ...publicProgress } = progress;
+  res.json({
+    ...publicProgress,
+    percent: progress.total > 0 ? Math.round((progress.processed / progress.total) * 100) : 0
+  });
+});
+
 // Dynamic manifest endpoint for album pages
 app.get('/feed/:token/manifest.json', async (req, res) => {
   try {
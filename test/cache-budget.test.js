@@ -0,0 +1,159 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm, writeFile, utimes, access } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { createCacheBudget, recordEviction } from '../cache-budget.js';
+
+const HOUR = 60 * 60 * 1000;
+
+// Just the parts of the storage interface the budget uses, with controllable access times
+function createStubStorage(entries) {
+  const namespaces = new Map();
+  for (const { namespace, key, size, ageHours } of entries) {
+    if (!namespaces.has(namespace)) {
+      namespaces.set(namespace, new Map());
+    }
+    const timeMs = Date.now() - ageHours * HOUR;
+    namespaces.get(namespace).set(key, { size, mtimeMs: timeMs, atimeMs: timeMs });
+  }
+  const entriesFor = namespace => namespaces.get(namespace) || new Map();
+
+  return {
+    async list(namespace) {
+      return Array.from(entriesFor(namespace).keys());
+    },
+    async stat(namespace, key) {
+      return entriesFor(namespace).get(key) || null;
+    },
+    async delete(namespace, key) {
+      entriesFor(namespace).delete(key);
+    },
+    has(namespace, key) {
+      return entriesFor(namespace).has(key);
+    }
+  };
+}
+
+function createReport() {
+  return { evictedCount: 0, evictedBytes: 0, evicted: [], budget: null };
+}
+
+async function writeTmpFile(dir, name, size, ageHours) {
+  const file = path.join(dir, name);
+  await writeFile(file, Buffer.alloc(size));
+  const time = new Date(Date.now() - ageHours * HOUR);
+  await utimes(file, time, time);
+  return file;
+}
+
+const exists = file => access(file).then(() => true, () => false);
+
+let tmpDir;
+
+beforeEach(async () => {
+  tmpDir = await mkdtemp(path.join(tmpdir(), 'cache-budget-test-'));
+});
+
+afterEach(async () => {
+  await rm(tmpDir, { recursive: true, force: true });
+});
+
+test('evicts the least recently accessed entries until the caches fit', async () => {
+  const storage = createStubStorage([
+    { namespace: 'images', key: 'old.jpg', size: 60, ageHours: 48 },
+    { namespace: 'icons', key: 'album.png', size: 60, ageHours: 24 },
+    { namespace: 'images', key: 'recent.jpg', size: 60, ageHours: 1 }
+  ]);
+  const { enforceCacheBudget } = createCacheBudget({ storage, tmpDir, maxBytes: 100 });
+  const report = createReport();
+
+  await enforceCacheBudget({}, report);
+
+  assert.equal(storage.has('images', 'old.jpg'), false);
+  assert.equal(storage.has('icons', 'album.png'), false);
+  assert.equal(storage.has('images', 'recent.jpg'), true);
+  assert.deepEqual(report.evicted.map(entry => entry.key), ['old.jpg', 'album.png']);
+  assert.deepEqual(report.budget, { maxBytes: 100, usageBefore: 180, usageAfter: 60, protectedBytes: 0 });
+});
+
+test('never evicts protected entries, even when they are the oldest', async () => {
+  const storage = createStubStorage([
+    { namespace: 'images', key: 'pinned.jpg', size: 60, ageHours: 48 },
+    { namespace: 'videos', key: 'clip.mp4', size: 60, ageHours: 24 }
+  ]);
+  const protectedEntries = { keys: new Set(['pinned.jpg']) };
+  const { enforceCacheBudget } = createCacheBudget({
+    storage,
+    tmpDir,
+    maxBytes: 50,
+    isProtected: (namespace, key, entries) => entries.keys.has(key)
+  });
+  const report = createReport();
+
+  await enforceCacheBudget(protectedEntries, report);
+
+  assert.equal(storage.has('images', 'pinned.jpg'), true);
+  assert.equal(storage.has('videos', 'clip.mp4'), false);
+  // Still over budget, because what's left is protected
+  assert.equal(report.budget.usageAfter, 60);
+  assert.equal(report.budget.protectedBytes, 60);
+});
+
+test('counts temp files, but keeps ones that may still be in use', async () => {
+  const storage = createStubStorage([]);
+  const staleFile = await writeTmpFile(tmpDir, 'stale.mp4', 60, 3);
+  const activeFile = await writeTmpFile(tmpDir, 'active.mp4', 60, 0);
+  const { listBudgetedEntries, enforceCacheBudget } = createCacheBudget({ storage, tmpDir, maxBytes: 10 });
+
+  const entries = await listBudgetedEntries({});
+  assert.deepEqual(entries.map(entry => [entry.key, entry.protected]), [['stale.mp4', false], ['active.mp4', true]]);
+
+  await enforceCacheBudget({}, createReport());
+  assert.equal(await exists(staleFile), false);
+  assert.equal(await exists(activeFile), true);
+});
+
+test('leaves everything in place while under budget', async () => {
+  const storage = createStubStorage([
+    { namespace: 'images', key: 'a.jpg', size: 40, ageHours: 48 },
+    { namespace: 'video-augmentations', key: 'album_photo.json', size: 40, ageHours: 24 }
+  ]);
+  const { enforceCacheBudget } = createCacheBudget({ storage, tmpDir, maxBytes: 100 });
+  const report = createReport();
+
+  await enforceCacheBudget({}, report);
+
+  assert.equal(report.evictedCount, 0);
+  assert.equal(storage.has('images', 'a.jpg'), true);
+  assert.equal(storage.has('video-augmentations', 'album_photo.json'), true);
+});
+
+test('counts and evicts generated video previews', async () => {
+  const storage = createStubStorage([
+    { namespace: 'video-previews', key: 'album_video.preview.mp4', size: 80, ageHours: 48 },
+    { namespace: 'video-previews', key: 'album_video.poster.jpg', size: 30, ageHours: 48 },
+    { namespace: 'images', key: 'recent.jpg', size: 30, ageHours: 1 }
+  ]);
+  const { listBudgetedEntries, enforceCacheBudget } = createCacheBudget({ storage, tmpDir, maxBytes: 60 });
+
+  const entries = await listBudgetedEntries({});
+  assert.equal(entries.filter(entry => entry.namespace === 'video-previews').length, 2);
+
+  const report = createReport();
+  await enforceCacheBudget({}, report);
+  assert.equal(storage.has('video-previews', 'album_video.preview.mp4'), false);
+  assert.equal(storage.has('images', 'recent.jpg'), true);
+  assert.equal(report.budget.usageBefore, 140);
+});
+
+test('eviction reports keep counting past their entry limit', () => {
+  const report = createReport();
+  for (let i = 0; i < 600; i++) {
+    recordEviction(report, { namespace: 'images', key: `${i}.jpg`, size: 2, lastAccess: 0 }, 'expired');
+  }
+
+  assert.equal(report.evictedCount, 600);
+  assert.equal(report.evictedBytes, 1200);
+  assert.equal(report.evicted.length, 500);
+});
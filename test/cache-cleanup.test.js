@@ -0,0 +1,45 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, mkdir, rm, readdir, writeFile, utimes } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { startServer } from './helpers.js';
+
+// The age-based cache cleanup on the filesystem backend
+
+const DAY = 24 * 60 * 60 * 1000;
+
+async function writePreview(dir, baseKey, ageDays) {
+  const time = new Date(Date.now() - ageDays * DAY);
+  const files = {
+    [`${baseKey}.json`]: JSON.stringify({ status: 'ready' }),
+    [`${baseKey}.poster.jpg`]: 'poster',
+    [`${baseKey}.preview.mp4`]: 'clip'
+  };
+  for (const [file, content] of Object.entries(files)) {
+    await writeFile(path.join(dir, file), content);
+    await utimes(path.join(dir, file), time, time);
+  }
+}
+
+test('video previews not used within the retention period are removed together', async () => {
+  const cacheDir = await mkdtemp(path.join(tmpdir(), 'icloud-album-cleanup-'));
+  const previewsDir = path.join(cacheDir, 'video-previews');
+  await mkdir(previewsDir, { recursive: true });
+  await writePreview(previewsDir, 'album_old', 10);
+  await writePreview(previewsDir, 'album_recent', 1);
+
+  const server = await startServer({ CACHE_STORAGE: 'fs', CACHE_DIR: cacheDir, CACHE_CLEANUP_INTERVAL: '500' });
+  try {
+    const deadline = Date.now() + 10000;
+    let files = await readdir(previewsDir);
+    while (files.some(file => file.startsWith('album_old')) && Date.now() < deadline) {
+      await new Promise(resolve => setTimeout(resolve, 200));
+      files = await readdir(previewsDir);
+    }
+    assert.deepEqual(files.sort(), ['album_recent.json', 'album_recent.poster.jpg', 'album_recent.preview.mp4']);
+  } finally {
+    await server.stop();
+    await rm(cacheDir, { recursive: true, force: true });
+  }
+});
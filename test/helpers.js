@@ -0,0 +1,80 @@
+import { spawn } from 'node:child_process';
+import { createServer } from 'node:net';
+import { mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+// Starts index.js offline for end-to-end tests: the fixtures album source (fixtures/ served through
+// fake-icloud.js), in-memory cache storage and no pre-warming, unless `env` says otherwise.
+
+export const ROOT_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+const STARTUP_TIMEOUT = 30000;
+
+function getFreePort() {
+  return new Promise((resolve, reject) => {
+    const probe = createServer();
+    probe.unref();
+    probe.on('error', reject);
+    probe.listen(0, '127.0.0.1', () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+async function waitForServer(child, url, deadline) {
+  while (Date.now() < deadline) {
+    if (child.exitCode !== null) {
+      throw new Error(`Server exited with code ${child.exitCode}`);
+    }
+    try {
+      await fetch(url);
+      return;
+    } catch (error) {
+      await new Promise(resolve => setTimeout(resolve, 200));
+    }
+  }
+  throw new Error('Server did not start in time');
+}
+
+// -> { baseUrl, stop() }. Rejects if the server exits before it's listening.
+export async function startServer(env = {}) {
+  const scratchDir = await mkdtemp(path.join(tmpdir(), 'icloud-album-test-'));
+  const port = await getFreePort();
+  const baseUrl = `http://127.0.0.1:${port}`;
+  const child = spawn(process.execPath, ['index.js'], {
+    cwd: ROOT_DIR,
+    env: {
+      ...process.env,
+      PORT: String(port),
+      ALBUM_SOURCE: 'fixtures',
+      CACHE_STORAGE: 'memory',
+      CACHE_PREWARM: 'false',
+      IMAGE_URL_MODE: 'mapping',
+      ADMIN_TOKEN: 'test-admin-token',
+      WHISPER_DIR: path.join(scratchDir, 'whisper.cpp'),
+      CACHE_TMP_DIR: path.join(scratchDir, 'tmp'),
+      ...env
+    },
+    stdio: ['ignore', 'ignore', 'inherit']
+  });
+
+  async function stop() {
+    if (child.exitCode === null && child.signalCode === null) {
+      await new Promise(resolve => {
+        child.once('exit', resolve);
+        child.kill();
+      });
+    }
+    await rm(scratchDir, { recursive: true, force: true });
+  }
+
+  try {
+    await waitForServer(child, `${baseUrl}/api/image/missing.jpg`, Date.now() + STARTUP_TIMEOUT);
+  } catch (error) {
+    await stop();
+    throw error;
+  }
+  return { baseUrl, stop };
+}
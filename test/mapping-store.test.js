@@ -0,0 +1,118 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'node:crypto';
+import { mkdtemp, mkdir, rm, readFile, readdir, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { startFakeICloud } from '../fake-icloud.js';
+import { startServer } from './helpers.js';
+
+// The image URL mapping store on the filesystem backend: migrating the old one-file-per-URL layout
+// into the log, and compacting the log, without losing any IDs (checked across restarts)
+
+let fake;
+
+before(async () => {
+  fake = await startFakeICloud();
+});
+
+after(async () => {
+  await fake?.close();
+});
+
+async function createCacheDir() {
+  const cacheDir = await mkdtemp(path.join(tmpdir(), 'icloud-album-mappings-'));
+  await mkdir(path.join(cacheDir, 'mappings'), { recursive: true });
+  return cacheDir;
+}
+
+function startWithCache(cacheDir, env = {}) {
+  return startServer({
+    CACHE_STORAGE: 'fs',
+    CACHE_DIR: cacheDir,
+    ALBUM_SOURCE: 'http',
+    ALBUM_SOURCE_URL: fake.url,
+    ...env
+  });
+}
+
+async function imageStatus(server, secureId) {
+  const response = await fetch(`${server.baseUrl}/api/image/${secureId}.jpg`);
+  await response.arrayBuffer();
+  return response.status;
+}
+
+const fixtureUrl = file => `${fake.url}/files/demo/${file}`;
+const randomId = () => crypto.randomBytes(16).toString('hex');
+
+test('mappings in the old per-ID files are migrated into the log', async () => {
+  const cacheDir = await createCacheDir();
+  const mappingsDir = path.join(cacheDir, 'mappings');
+  const secureId = randomId();
+  const url = fixtureUrl('IMG_0001_thumb.jpg');
+  await writeFile(path.join(mappingsDir, `${secureId}.json`), JSON.stringify({ url, timestamp: Date.now() }));
+  await writeFile(path.join(mappingsDir, '_lookup_abc.json'), JSON.stringify({ secureId }));
+
+  let server = await startWithCache(cacheDir);
+  try {
+    assert.equal(await imageStatus(server, secureId), 200);
+    const files = await readdir(mappingsDir);
+    assert.ok(!files.includes(`${secureId}.json`));
+    assert.ok(!files.includes('_lookup_abc.json'));
+    assert.match(await readFile(path.join(mappingsDir, 'mappings.log'), 'utf-8'), new RegExp(secureId));
+
+    // Still there after a restart, now from the log
+    await server.stop();
+    server = await startWithCache(cacheDir);
+    assert.equal(await imageStatus(server, secureId), 200);
+  } finally {
+    await server.stop();
+    await rm(cacheDir, { recursive: true, force: true });
+  }
+});
+
+test('compacting the log keeps every live mapping', async () => {
+  const cacheDir = await createCacheDir();
+  const mappingsDir = path.join(cacheDir, 'mappings');
+  const now = Date.now();
+  const liveIds = [randomId(), randomId()];
+  const records = [
+    { id: liveIds[0], url: fixtureUrl('IMG_0001_thumb.jpg'), timestamp: now },
+    { id: liveIds[1], url: fixtureUrl('IMG_0002_thumb.jpg'), timestamp: now }
+  ];
+  // Enough superseded records to be worth compacting
+  for (let i = 0; i < 1200; i++) {
+    records.push({ id: liveIds[0], timestamp: now - i });
+  }
+  records.push({ id: liveIds[0], timestamp: now });
+  await writeFile(path.join(mappingsDir, 'mappings.log'), records.map(record => `${JSON.stringify(record)}\n`).join(''));
+
+  let server = await startWithCache(cacheDir, { CACHE_CLEANUP_INTERVAL: '500' });
+  try {
+    const deadline = Date.now() + 10000;
+    let currentLog = null;
+    while (!currentLog && Date.now() < deadline) {
+      currentLog = await readFile(path.join(mappingsDir, 'mappings.current'), 'utf-8').catch(() => null);
+      if (!currentLog) {
+        await new Promise(resolve => setTimeout(resolve, 200));
+      }
+    }
+    assert.match(currentLog, /^mappings-[0-9a-f]+\.log$/);
+    const lines = (await readFile(path.join(mappingsDir, currentLog), 'utf-8')).trim().split('\n');
+    assert.equal(lines.length, 1 + liveIds.length); // Header plus the live mappings
+
+    for (const secureId of liveIds) {
+      assert.equal(await imageStatus(server, secureId), 200);
+    }
+
+    // And after a restart, from the compacted log
+    await server.stop();
+    server = await startWithCache(cacheDir);
+    for (const secureId of liveIds) {
+      assert.equal(await imageStatus(server, secureId), 200);
+    }
+  } finally {
+    await server.stop();
+    await rm(cacheDir, { recursive: true, force: true });
+  }
+});
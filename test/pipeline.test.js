@@ -0,0 +1,173 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import sharp from 'sharp';
+import exifReader from 'exif-reader';
+import { startServer } from './helpers.js';
+
+// End-to-end checks of the album pipeline, run offline: the server is started with the fixtures album
+// source (which serves fixtures/ through fake-icloud.js) and in-memory cache storage.
+
+let server;
+let baseUrl;
+
+async function getAlbum() {
+  const response = await fetch(`${baseUrl}/api/album/demo`);
+  assert.equal(response.status, 200);
+  return response.json();
+}
+
+before(async () => {
+  server = await startServer();
+  baseUrl = server.baseUrl;
+});
+
+after(async () => {
+  await server?.stop();
+});
+
+test('album responses only reference proxied media', async () => {
+  const album = await getAlbum();
+  assert.equal(album.metadata.streamName, 'Demo Album');
+  assert.ok(album.photos.length > 0);
+
+  for (const photo of album.photos) {
+    for (const derivative of Object.values(photo.derivatives)) {
+      assert.match(derivative.url, /^\/api\/(image\/[0-9a-f]{32}\.jpg|video\/[0-9a-f]{32}\.mp4)$/);
+    }
+  }
+  // The stand-in iCloud server's URLs never reach clients
+  assert.ok(!JSON.stringify(album).includes('/files/demo/'));
+});
+
+test('proxied images are served as processed JPEGs', async () => {
+  const album = await getAlbum();
+  const [url] = Object.values(album.photos[0].derivatives).map(derivative => derivative.url);
+
+  const response = await fetch(`${baseUrl}${url}`);
+  assert.equal(response.status, 200);
+  assert.equal(response.headers.get('content-type'), 'image/jpeg');
+  const metadata = await sharp(Buffer.from(await response.arrayBuffer())).metadata();
+  assert.equal(metadata.format, 'jpeg');
+});
+
+test('proxied images lose their location and serial numbers but keep allowlisted EXIF', async () => {
+  const album = await getAlbum();
+  const full = Object.values(album.photos[0].derivatives)
+    .sort((a, b) => b.width - a.width)[0];
+
+  const response = await fetch(`${baseUrl}${full.url}`);
+  assert.equal(response.status, 200);
+  const metadata = await sharp(Buffer.from(await response.arrayBuffer())).metadata();
+  const exif = metadata.exif ? exifReader(metadata.exif) : {};
+
+  assert.equal(exif.GPSInfo, undefined);
+  assert.equal(exif.Photo?.BodySerialNumber, undefined);
+  assert.equal(exif.Image?.Make, 'FixtureCam');
+});
+
+test('placeholders appear in album responses once an image has been processed', async () => {
+  const album = await getAlbum();
+  const photo = album.photos[album.photos.length - 1];
+  assert.equal(photo.placeholder, undefined);
+  // Album responses don't generate them
+  assert.equal((await getAlbum()).photos[album.photos.length - 1].placeholder, undefined);
+
+  const [url] = Object.values(photo.derivatives).map(derivative => derivative.url);
+  assert.equal((await fetch(`${baseUrl}${url}`)).status, 200);
+
+  // Details are stored in the background after the image is served
+  const deadline = Date.now() + 5000;
+  let placeholder;
+  while (!placeholder && Date.now() < deadline) {
+    placeholder = (await getAlbum()).photos[album.photos.length - 1].placeholder;
+    if (!placeholder) {
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+  }
+  assert.match(placeholder, /^data:image\/jpeg;base64,/);
+});
+
+test('unknown image IDs are not found', async () => {
+  const response = await fetch(`${baseUrl}/api/image/${'0'.repeat(32)}.jpg`);
+  assert.equal(response.status, 404);
+});
+
+test('album responses are not sent again while their ETag matches', async () => {
+  const first = await fetch(`${baseUrl}/api/album/demo`);
+  assert.equal(first.status, 200);
+  const etag = first.headers.get('etag');
+  assert.ok(etag);
+  await first.arrayBuffer();
+
+  const response = await fetch(`${baseUrl}/api/album/demo`, { headers: { 'If-None-Match': etag } });
+  assert.equal(response.status, 304);
+  assert.equal(await response.text(), '');
+
+  const changed = await fetch(`${baseUrl}/api/album/demo`, { headers: { 'If-None-Match': '"stale"' } });
+  assert.equal(changed.status, 200);
+});
+
+test('album pages follow their cursors through every photo exactly once', async () => {
+  const album = await getAlbum();
+  const seen = [];
+  let cursor = null;
+  let pages = 0;
+  do {
+    const query = cursor ? `limit=3&cursor=${encodeURIComponent(cursor)}` : 'limit=3';
+    const response = await fetch(`${baseUrl}/api/album/demo?${query}`);
+    assert.equal(response.status, 200);
+    const page = await response.json();
+    assert.ok(page.photos.length <= 3);
+    assert.equal(page.pagination.limit, 3);
+    seen.push(...page.photos.map(photo => photo.photoGuid));
+    cursor = page.pagination.nextCursor;
+    pages++;
+  } while (cursor && pages < 10);
+
+  assert.equal(pages, Math.ceil(album.photos.length / 3));
+  assert.deepEqual([...seen].sort(), album.photos.map(photo => photo.photoGuid).sort());
+});
+
+test('change feeds reject limits that are not positive integers', async () => {
+  for (const limit of ['-5', '0', 'all', '2.5', '10abc']) {
+    const response = await fetch(`${baseUrl}/api/album/demo/changes?limit=${limit}`);
+    assert.equal(response.status, 400, limit);
+  }
+  for (const cursor of ['-1', '2.5', '10abc']) {
+    const response = await fetch(`${baseUrl}/api/album/demo/changes?cursor=${cursor}`);
+    assert.equal(response.status, 400, cursor);
+  }
+  const response = await fetch(`${baseUrl}/api/album/demo/changes?limit=1`);
+  assert.equal(response.status, 200);
+  assert.ok((await response.json()).changes.length <= 1);
+});
+
+test('album pages reject limits that are not positive integers', async () => {
+  for (const limit of ['-5', '0', '2.5', '10abc']) {
+    const response = await fetch(`${baseUrl}/api/album/demo?limit=${limit}`);
+    assert.equal(response.status, 400, limit);
+  }
+});
+
+test('images behind IDs issued before an album got its watermark are watermarked', async () => {
+  const album = await getAlbum();
+  const full = Object.values(album.photos[1].derivatives)
+    .sort((a, b) => b.width - a.width)[0];
+  const before = Buffer.from(await (await fetch(`${baseUrl}${full.url}`)).arrayBuffer());
+
+  const settings = await fetch(`${baseUrl}/api/album/demo/settings`, {
+    method: 'POST',
+    headers: { Authorization: 'Bearer test-admin-token', 'Content-Type': 'application/json' },
+    body: JSON.stringify({ watermark: { text: 'Watermark', scale: 0.8, opacity: 1 } })
+  });
+  assert.equal(settings.status, 200);
+
+  const response = await fetch(`${baseUrl}${full.url}`);
+  assert.equal(response.status, 200);
+  const after = Buffer.from(await response.arrayBuffer());
+  assert.ok(!after.equals(before));
+  // Album responses now hand out the watermarked album's own IDs
+  const rewatermarked = Object.values((await getAlbum()).photos[1].derivatives)
+    .sort((a, b) => b.width - a.width)[0];
+  assert.notEqual(rewatermarked.url, full.url);
+});
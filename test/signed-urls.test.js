@@ -0,0 +1,86 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'node:crypto';
+import zlib from 'node:zlib';
+import { startServer } from './helpers.js';
+
+// Signed image references (IMAGE_URL_MODE=signed): only ones this server signed, for album images, are served
+
+const SECRET = 'signed-urls-test-secret';
+const DEFAULT_SECRET = 'test-secret-key-change-in-production';
+
+let server;
+let baseUrl;
+
+// Same construction as signImageReference in index.js
+function signReference(payload, secret) {
+  const key = crypto.createHash('sha256').update(`signed-image-urls:${secret}`).digest();
+  const plaintext = zlib.deflateRawSync(JSON.stringify(payload));
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return 's-' + Buffer.concat([iv, cipher.getAuthTag(), ciphertext]).toString('base64url');
+}
+
+async function getSignedImageUrl() {
+  const album = await (await fetch(`${baseUrl}/api/album/demo`)).json();
+  return Object.values(album.photos[0].derivatives).map(derivative => derivative.url)[0];
+}
+
+before(async () => {
+  server = await startServer({ IMAGE_URL_MODE: 'signed', ENCRYPTION_SECRET: SECRET });
+  baseUrl = server.baseUrl;
+});
+
+after(async () => {
+  await server?.stop();
+});
+
+test('album images are served through signed references', async () => {
+  const url = await getSignedImageUrl();
+  assert.match(url, /^\/api\/image\/s-[\w-]+\.jpg$/);
+  assert.equal((await fetch(`${baseUrl}${url}`)).status, 200);
+});
+
+test('tampered references are not found', async () => {
+  const url = await getSignedImageUrl();
+  const index = url.length - 10;
+  const tampered = url.slice(0, index) + (url[index] === 'A' ? 'B' : 'A') + url.slice(index + 1);
+  assert.equal((await fetch(`${baseUrl}${tampered}`)).status, 404);
+});
+
+test('references to anything but album images are not found, even when properly signed', async () => {
+  const urls = [
+    'http://127.0.0.1:1/landing.html',
+    'https://example.com/image.jpg',
+    'generated:albums/demo.json',
+    'generated:registry/refresh-registry.json'
+  ];
+  for (const u of urls) {
+    const reference = signReference({ u }, SECRET);
+    assert.equal((await fetch(`${baseUrl}/api/image/${reference}.jpg`)).status, 404, u);
+    assert.equal((await fetch(`${baseUrl}/api/video/${reference}.mp4`)).status, 404, u);
+  }
+});
+
+test('references forged with the default secret are not found', async () => {
+  const reference = signReference({ u: 'generated:albums/demo.json' }, DEFAULT_SECRET);
+  assert.equal((await fetch(`${baseUrl}/api/image/${reference}.jpg`)).status, 404);
+});
+
+test('signed references are refused in mapping mode', async () => {
+  const mappingServer = await startServer({ IMAGE_URL_MODE: 'mapping' });
+  try {
+    const reference = signReference({ u: 'generated:registry/refresh-registry.json' }, DEFAULT_SECRET);
+    assert.equal((await fetch(`${mappingServer.baseUrl}/api/image/${reference}.jpg`)).status, 404);
+    assert.equal((await fetch(`${mappingServer.baseUrl}/api/video/${reference}.mp4`)).status, 404);
+  } finally {
+    await mappingServer.stop();
+  }
+});
+
+test('signed mode does not start on the default secret', async () => {
+  const started = startServer({ IMAGE_URL_MODE: 'signed', ENCRYPTION_SECRET: '', SIGNED_IMAGE_URL_SECRET: '' });
+  // Shut it down again if it does start
+  await assert.rejects(started.then(unexpected => unexpected.stop()), /Server exited/);
+});
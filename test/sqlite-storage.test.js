@@ -0,0 +1,61 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { startFakeICloud } from '../fake-icloud.js';
+import { startServer } from './helpers.js';
+
+// The sqlite cache backend keeps albums, mappings and processed images across a restart
+
+let fake;
+let dbDir;
+
+before(async () => {
+  fake = await startFakeICloud();
+  dbDir = await mkdtemp(path.join(tmpdir(), 'icloud-album-sqlite-'));
+});
+
+after(async () => {
+  await fake?.close();
+  await rm(dbDir, { recursive: true, force: true });
+});
+
+function startWithDatabase() {
+  return startServer({
+    CACHE_STORAGE: 'sqlite',
+    CACHE_DB_PATH: path.join(dbDir, 'cache.db'),
+    ALBUM_SOURCE: 'http',
+    ALBUM_SOURCE_URL: fake.url
+  });
+}
+
+const imageUrls = album => album.photos.flatMap(photo => Object.values(photo.derivatives).map(derivative => derivative.url));
+
+test('cached albums, image IDs and images survive a restart', async () => {
+  let server = await startWithDatabase();
+  let album;
+  let image;
+  try {
+    album = await (await fetch(`${server.baseUrl}/api/album/demo`)).json();
+    const response = await fetch(`${server.baseUrl}${imageUrls(album)[0]}`);
+    assert.equal(response.status, 200);
+    image = Buffer.from(await response.arrayBuffer());
+  } finally {
+    await server.stop();
+  }
+
+  server = await startWithDatabase();
+  try {
+    // The stand-in server is gone, so this can only come from the database
+    await fake.close();
+    const response = await fetch(`${server.baseUrl}${imageUrls(album)[0]}`);
+    assert.equal(response.status, 200);
+    assert.deepEqual(Buffer.from(await response.arrayBuffer()), image);
+
+    const cachedAlbum = await (await fetch(`${server.baseUrl}/api/album/demo`)).json();
+    assert.deepEqual(imageUrls(cachedAlbum), imageUrls(album));
+  } finally {
+    await server.stop();
+  }
+});
@@ -0,0 +1,100 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createUpstreamPolicy, isNetworkError, isRetryableUpstreamError, isUpstreamUnavailable } from '../upstream.js';
+
+const HOST = 'sharedstreams.icloud.com';
+const COOLDOWN = 50;
+
+function createPolicy() {
+  return createUpstreamPolicy({ maxRetries: 2, retryBaseDelay: 1, failureThreshold: 3, cooldown: COOLDOWN });
+}
+
+function networkError(code = 'ECONNRESET') {
+  return Object.assign(new Error(`connect ${code}`), { code });
+}
+
+function httpError(status) {
+  return Object.assign(new Error(`Upstream responded ${status}`), { upstreamStatus: status });
+}
+
+// Call an operation that always throws `error`, counting the attempts
+async function failingCall(policy, error) {
+  let attempts = 0;
+  await assert.rejects(policy.callUpstream(HOST, async () => {
+    attempts++;
+    throw error;
+  }));
+  return attempts;
+}
+
+test('network failures and timeouts are retryable, other errors are not', () => {
+  assert.equal(isNetworkError(networkError('ETIMEDOUT')), true);
+  assert.equal(isNetworkError(Object.assign(new TypeError('fetch failed'), { cause: networkError() })), true);
+  assert.equal(isNetworkError(Object.assign(new Error('The operation was aborted due to timeout'), { name: 'TimeoutError' })), true);
+
+  assert.equal(isRetryableUpstreamError(httpError(503)), true);
+  assert.equal(isRetryableUpstreamError(httpError(429)), true);
+  assert.equal(isRetryableUpstreamError(httpError(404)), false);
+  assert.equal(isRetryableUpstreamError(new TypeError("Cannot read properties of undefined (reading 'photos')")), false);
+  assert.equal(isRetryableUpstreamError(new SyntaxError('Unexpected token < in JSON at position 0')), false);
+});
+
+test('network failures are retried and open the circuit after the threshold', async () => {
+  const policy = createPolicy();
+  assert.equal(await failingCall(policy, networkError()), 3);
+  await failingCall(policy, networkError());
+  await failingCall(policy, networkError());
+
+  const status = policy.getUpstreamStatus(HOST);
+  assert.equal(status.state, 'open');
+  // Calls now fail fast, without running the operation
+  let ran = false;
+  const error = await policy.callUpstream(HOST, async () => {
+    ran = true;
+  }).catch(err => err);
+  assert.ok(isUpstreamUnavailable(error));
+  assert.equal(ran, false);
+});
+
+test('errors from bad album responses are not retried and never open the circuit', async () => {
+  const policy = createPolicy();
+  for (let i = 0; i < 10; i++) {
+    assert.equal(await failingCall(policy, new TypeError("Cannot read properties of undefined (reading 'photos')")), 1);
+  }
+  assert.equal(policy.getUpstreamStatus(HOST), null);
+  assert.equal(await policy.callUpstream(HOST, async () => 'ok'), 'ok');
+});
+
+test('client errors from the host count as the host being up', async () => {
+  const policy = createPolicy();
+  await failingCall(policy, networkError());
+  await failingCall(policy, networkError());
+  assert.equal(await failingCall(policy, httpError(404)), 1);
+  // The 404 reset the count, so two more failures don't open the circuit
+  await failingCall(policy, networkError());
+  await failingCall(policy, networkError());
+  assert.equal(policy.getUpstreamStatus(HOST), null);
+});
+
+test('after the cooldown one trial call closes the circuit again', async () => {
+  const policy = createPolicy();
+  for (let i = 0; i < 3; i++) {
+    await failingCall(policy, networkError());
+  }
+  await new Promise(resolve => setTimeout(resolve, COOLDOWN + 10));
+
+  assert.equal(await policy.callUpstream(HOST, async () => 'ok'), 'ok');
+  assert.equal(policy.getUpstreamStatus(HOST), null);
+});
+
+test('a trial call failing for reasons of its own leaves the circuit half-open for the next one', async () => {
+  const policy = createPolicy();
+  for (let i = 0; i < 3; i++) {
+    await failingCall(policy, networkError());
+  }
+  await new Promise(resolve => setTimeout(resolve, COOLDOWN + 10));
+
+  await failingCall(policy, new SyntaxError('Unexpected end of JSON input'));
+  assert.equal(policy.getUpstreamStatus(HOST).state, 'half-open');
+  assert.equal(await policy.callUpstream(HOST, async () => 'ok'), 'ok');
+});
@@ -0,0 +1,93 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, mkdir, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { startServer } from './helpers.js';
+
+// The video proxy, against a fixtures album of its own: a video, and a "video" whose upstream sends HTML
+
+const VIDEO = Buffer.from(Array.from({ length: 1000 }, (_, i) => i % 256));
+
+let fixturesDir;
+let server;
+let videoUrls;
+
+before(async () => {
+  fixturesDir = await mkdtemp(path.join(tmpdir(), 'icloud-album-videos-'));
+  const albumDir = path.join(fixturesDir, 'videos');
+  await mkdir(albumDir);
+  await writeFile(path.join(albumDir, 'clip.mp4'), VIDEO);
+  await writeFile(path.join(albumDir, 'landing.mp4.html'), '<html><body>Not a video</body></html>');
+  const video = (guid, file) => ({
+    photoGuid: guid,
+    mediaAssetType: 'video',
+    dateCreated: '2025-06-01T10:00:00.000Z',
+    derivatives: { 720: { file, width: 1280, height: 720 } }
+  });
+  await writeFile(path.join(albumDir, 'album.json'), JSON.stringify({
+    metadata: { streamName: 'Videos' },
+    photos: [video('video-clip', 'clip.mp4'), video('video-landing', 'landing.mp4.html')]
+  }));
+
+  server = await startServer({ ALBUM_FIXTURES_DIR: fixturesDir });
+  const album = await (await fetch(`${server.baseUrl}/api/album/videos`)).json();
+  videoUrls = Object.fromEntries(album.photos.map(photo => [photo.photoGuid, photo.derivatives['720'].url]));
+});
+
+after(async () => {
+  await server?.stop();
+  await rm(fixturesDir, { recursive: true, force: true });
+});
+
+test('videos are always served as MP4s that browsers must not sniff', async () => {
+  const response = await fetch(`${server.baseUrl}${videoUrls['video-clip']}`);
+  assert.equal(response.status, 200);
+  assert.equal(response.headers.get('content-type'), 'video/mp4');
+  assert.equal(response.headers.get('x-content-type-options'), 'nosniff');
+  assert.deepEqual(Buffer.from(await response.arrayBuffer()), VIDEO);
+});
+
+test('byte ranges are answered with partial content', async () => {
+  const response = await fetch(`${server.baseUrl}${videoUrls['video-clip']}`, { headers: { Range: 'bytes=0-99' } });
+  assert.equal(response.status, 206);
+  assert.equal(response.headers.get('content-range'), `bytes 0-99/${VIDEO.length}`);
+  assert.equal(response.headers.get('accept-ranges'), 'bytes');
+  assert.deepEqual(Buffer.from(await response.arrayBuffer()), VIDEO.subarray(0, 100));
+});
+
+test('byte ranges of cached videos are answered with partial content', async () => {
+  const cacheDir = await mkdtemp(path.join(tmpdir(), 'icloud-album-video-cache-'));
+  const fsServer = await startServer({ ALBUM_FIXTURES_DIR: fixturesDir, CACHE_STORAGE: 'fs', CACHE_DIR: cacheDir });
+  try {
+    const album = await (await fetch(`${fsServer.baseUrl}/api/album/videos`)).json();
+    const url = `${fsServer.baseUrl}${album.photos.find(photo => photo.photoGuid === 'video-clip').derivatives['720'].url}`;
+    await (await fetch(url)).arrayBuffer();
+
+    // Cached videos are served with an ETag
+    const deadline = Date.now() + 5000;
+    let response = await fetch(url, { headers: { Range: 'bytes=100-199' } });
+    while (!response.headers.get('etag') && Date.now() < deadline) {
+      await response.arrayBuffer();
+      await new Promise(resolve => setTimeout(resolve, 100));
+      response = await fetch(url, { headers: { Range: 'bytes=100-199' } });
+    }
+    assert.ok(response.headers.get('etag'));
+    assert.equal(response.status, 206);
+    assert.equal(response.headers.get('content-range'), `bytes 100-199/${VIDEO.length}`);
+    assert.deepEqual(Buffer.from(await response.arrayBuffer()), VIDEO.subarray(100, 200));
+
+    const unsatisfiable = await fetch(url, { headers: { Range: `bytes=${VIDEO.length}-` } });
+    assert.equal(unsatisfiable.status, 416);
+    assert.equal(unsatisfiable.headers.get('content-range'), `bytes */${VIDEO.length}`);
+  } finally {
+    await fsServer.stop();
+    await rm(cacheDir, { recursive: true, force: true });
+  }
+});
+
+test('upstream responses that are not videos are not passed on', async () => {
+  const response = await fetch(`${server.baseUrl}${videoUrls['video-landing']}`);
+  assert.equal(response.status, 502);
+  assert.doesNotMatch(await response.text(), /Not a video/);
+});
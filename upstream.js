@@ -0,0 +1,173 @@
+// Retries and circuit breaking for upstream (iCloud) calls, used by index.js.
+// Transient failures (network errors, 429, 5xx) are retried with exponential backoff and jitter.
+// Each host has a circuit breaker: after failureThreshold consecutive failed calls it opens for
+// cooldown ms, during which calls fail fast with UPSTREAM_UNAVAILABLE and the API serves from cache
+// instead. After the cooldown a single trial call is let through (half-open) to probe the host.
+// Errors that aren't about the host (e.g. a TypeError from parsing a garbage response) are neither
+// retried nor counted against it, so a few bad albums can't open a circuit every album shares.
+
+// Error codes of failed connections and timeouts (Node, undici and axios)
+const NETWORK_ERROR_CODES = new Set([
+  'ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'EPIPE', 'ENOTFOUND', 'EAI_AGAIN',
+  'ENETUNREACH', 'EHOSTUNREACH', 'ERR_NETWORK',
+  'UND_ERR_SOCKET', 'UND_ERR_CONNECT_TIMEOUT', 'UND_ERR_HEADERS_TIMEOUT', 'UND_ERR_BODY_TIMEOUT'
+]);
+
+export function isUpstreamUnavailable(error) {
+  return Boolean(error && error.message && error.message.startsWith('UPSTREAM_UNAVAILABLE'));
+}
+
+// Whether an error means the host couldn't be reached or didn't answer in time
+export function isNetworkError(error) {
+  if (!error) {
+    return false;
+  }
+  if (error.name === 'AbortError' || error.name === 'TimeoutError') {
+    return true;
+  }
+  if (NETWORK_ERROR_CODES.has(error.code) || NETWORK_ERROR_CODES.has(error.cause?.code)) {
+    return true;
+  }
+  // fetch() reports any network failure as this TypeError, with the details in `cause`
+  return error instanceof TypeError && error.message === 'fetch failed';
+}
+
+function getErrorStatus(error) {
+  return error.upstreamStatus || error.response?.status || null;
+}
+
+// Network errors, 429 and 5xx are worth retrying; other HTTP errors (e.g. 404, expired 401/403) and
+// anything else are not
+export function isRetryableUpstreamError(error) {
+  const status = getErrorStatus(error);
+  if (status) {
+    return status === 429 || status >= 500;
+  }
+  return isNetworkError(error);
+}
+
+export function createUpstreamPolicy({ maxRetries, retryBaseDelay, retryMaxDelay = 10000, failureThreshold, cooldown }) {
+  const circuits = new Map(); // host -> { state, failures, openedAt, trialInFlight }
+
+  function getCircuit(host) {
+    let circuit = circuits.get(host);
+    if (!circuit) {
+      circuit = { state: 'closed', failures: 0, openedAt: null, trialInFlight: false };
+      circuits.set(host, circuit);
+    }
+    return circuit;
+  }
+
+  function unavailableError(host, circuit) {
+    const error = new Error(`UPSTREAM_UNAVAILABLE: circuit open for ${host}`);
+    error.retryAt = circuit.openedAt + cooldown;
+    return error;
+  }
+
+  function recordSuccess(host) {
+    const circuit = getCircuit(host);
+    if (circuit.state !== 'closed') {
+      console.log(`Upstream ${host} recovered, closing circuit`);
+    }
+    circuit.state = 'closed';
+    circuit.failures = 0;
+    circuit.openedAt = null;
+    circuit.trialInFlight = false;
+  }
+
+  function recordFailure(host) {
+    const circuit = getCircuit(host);
+    circuit.failures++;
+    circuit.trialInFlight = false;
+    if (circuit.state === 'half-open' || circuit.failures >= failureThreshold) {
+      if (circuit.state !== 'open') {
+        console.warn(`Upstream ${host} failing (${circuit.failures} consecutive failures), opening circuit for ${cooldown / 1000}s`);
+      }
+      circuit.state = 'open';
+      circuit.openedAt = Date.now();
+    }
+  }
+
+  // Throws UPSTREAM_UNAVAILABLE if the host's circuit is open; moves it to half-open once the cooldown has passed
+  function checkCircuit(host) {
+    const circuit = getCircuit(host);
+    if (circuit.state === 'open' && Date.now() - circuit.openedAt >= cooldown) {
+      circuit.state = 'half-open';
+    }
+    if (circuit.state === 'open') {
+      throw unavailableError(host, circuit);
+    }
+    if (circuit.state === 'half-open') {
+      // Only one trial call at a time while probing
+      if (circuit.trialInFlight) {
+        throw unavailableError(host, circuit);
+      }
+      circuit.trialInFlight = true;
+    }
+  }
+
+  // Run an upstream operation against a host with retries, backoff and circuit breaking
+  async function callUpstream(host, operation) {
+    checkCircuit(host);
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const result = await operation();
+        recordSuccess(host);
+        return result;
+      } catch (error) {
+        if (!isRetryableUpstreamError(error)) {
+          if (getErrorStatus(error)) {
+            // The host answered, so it's healthy even if the request itself was bad
+            recordSuccess(host);
+          } else {
+            // Not the host's doing either way - just let the next trial through
+            getCircuit(host).trialInFlight = false;
+          }
+          throw error;
+        }
+        if (attempt >= maxRetries || getCircuit(host).state === 'half-open') {
+          recordFailure(host);
+          throw error;
+        }
+        const backoff = Math.min(retryBaseDelay * 2 ** attempt, retryMaxDelay);
+        const delay = Math.round(backoff / 2 + Math.random() * backoff / 2);
+        console.warn(`Upstream ${host} call failed (${error.message}), retrying in ${delay}ms (attempt ${attempt + 1}/${maxRetries})`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+  }
+
+  // fetch() through the upstream policy. Resolves to the response for any non-retryable status so
+  // callers keep handling 401/403/404 themselves. `timeout` (ms) applies to each attempt.
+  function upstreamFetch(url, { timeout, ...options } = {}) {
+    const host = new URL(url).host;
+    return callUpstream(host, async () => {
+      const response = await fetch(url, timeout ? { ...options, signal: AbortSignal.timeout(timeout) } : options);
+      if (response.status === 429 || response.status >= 500) {
+        // Release the connection before retrying
+        await response.body?.cancel().catch(() => { });
+        const error = new Error(`Upstream responded ${response.status} ${response.statusText}`);
+        error.upstreamStatus = response.status;
+        throw error;
+      }
+      return response;
+    });
+  }
+
+  // Current state of a host's circuit, for surfacing in API responses (null while healthy)
+  function getUpstreamStatus(host) {
+    const circuit = circuits.get(host);
+    if (!circuit || circuit.state === 'closed') {
+      return null;
+    }
+    return {
+      available: false,
+      state: circuit.state,
+      servingCache: true,
+      retryAt: new Date(circuit.openedAt + cooldown).toISOString()
+    };
+  }
+
+  return { callUpstream, upstreamFetch, getUpstreamStatus };
+}